@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// --- Adaptador de archivo JSON local ---
+// Guarda las filas con la misma forma que la hoja de Google (arreglos A:R, sin encabezado)
+// para que dev, CI y demos funcionen sin credenciales. No apto para Vercel (disco efímero).
+// Los cierres extraordinarios van en su propio archivo (CIERRES_ARCHIVO).
+
+const RUTA_ARCHIVO = path.resolve(process.env.CITAS_ARCHIVO || path.join(__dirname, '..', '..', 'data', 'citas.json'));
+const RUTA_CIERRES = path.resolve(process.env.CIERRES_ARCHIVO || path.join(__dirname, '..', '..', 'data', 'cierres.json'));
+
+async function leerLista(ruta) {
+    try {
+        const contenido = await fs.readFile(ruta, 'utf8');
+        const lista = JSON.parse(contenido);
+        return Array.isArray(lista) ? lista : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Escritura atómica: se escribe un temporal y se renombra sobre el archivo original.
+async function escribirLista(ruta, lista) {
+    await fs.mkdir(path.dirname(ruta), { recursive: true });
+    const temporal = `${ruta}.${process.pid}.tmp`;
+    await fs.writeFile(temporal, JSON.stringify(lista, null, 2));
+    await fs.rename(temporal, ruta);
+}
+
+const leerFilas = () => leerLista(RUTA_ARCHIVO);
+const escribirFilas = (filas) => escribirLista(RUTA_ARCHIVO, filas);
+
+async function obtenerCitas() {
+    return leerFilas();
+}
+
+async function agregarFila(valores) {
+    const filas = await leerFilas();
+    filas.push(valores);
+    await escribirFilas(filas);
+}
+
+async function actualizarFila(numeroFila, valores) {
+    const filas = await leerFilas();
+    const indice = numeroFila - 2;
+    if (indice < 0 || indice >= filas.length) {
+        throw new Error(`La fila ${numeroFila} no existe en ${RUTA_ARCHIVO}.`);
+    }
+    filas[indice] = valores;
+    await escribirFilas(filas);
+}
+
+async function obtenerCierres() {
+    return leerLista(RUTA_CIERRES);
+}
+
+async function guardarCierres(cierres) {
+    await escribirLista(RUTA_CIERRES, cierres);
+}
+
+module.exports = { nombre: 'archivo', ruta: RUTA_ARCHIVO, obtenerCitas, agregarFila, actualizarFila, obtenerCierres, guardarCierres };
@@ -0,0 +1,118 @@
+const { google } = require("googleapis");
+
+// --- Adaptador de Google Sheets ---
+// Las filas se devuelven sin el encabezado; numeroFila sigue la numeración de la hoja
+// (1 es el encabezado, la primera cita es la fila 2).
+// Los cierres extraordinarios viven en otra pestaña del mismo libro (SHEET_NAME_CIERRES,
+// por defecto "Cierres") con las columnas fecha, motivo y creadoEn.
+
+const SHEET_ID_CITAS = process.env.SHEET_ID_CITAS;
+const SHEET_NAME_CITAS = process.env.SHEET_NAME_CITAS || 'Citas';
+const SHEET_NAME_CIERRES = process.env.SHEET_NAME_CIERRES || 'Cierres';
+
+let auth;
+const obtenerAuth = () => {
+    if (!auth) {
+        const credentials = {
+            "type": "service_account",
+            "project_id": process.env.GOOGLE_PROJECT_ID,
+            "private_key_id": process.env.GOOGLE_PRIVATE_KEY_ID,
+            "private_key": (process.env.GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, "\n"),
+            "client_email": process.env.GOOGLE_CLIENT_EMAIL,
+            "client_id": process.env.GOOGLE_CLIENT_ID,
+            "auth_uri": "https://accounts.google.com/o/oauth2/auth",
+            "token_uri": "https://oauth2.googleapis.com/token",
+            "auth_provider_x509_cert_url": "https://www.googleapis.com/oauth2/v1/certs",
+            "client_x509_cert_url": process.env.GOOGLE_CLIENT_X509_CERT_URL,
+            "universe_domain": "googleapis.com"
+        };
+        auth = new google.auth.GoogleAuth({
+            credentials,
+            scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+        });
+    }
+    return auth;
+};
+
+const obtenerSheets = async () => {
+    const client = await obtenerAuth().getClient();
+    return google.sheets({ version: "v4", auth: client });
+};
+
+async function obtenerCitas() {
+    const sheets = await obtenerSheets();
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: SHEET_ID_CITAS,
+        range: `${SHEET_NAME_CITAS}!A:R`,
+    });
+    const rows = response.data.values || [];
+    return rows.length > 1 ? rows.slice(1) : [];
+}
+
+async function agregarFila(valores) {
+    const sheets = await obtenerSheets();
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: SHEET_ID_CITAS,
+        range: `${SHEET_NAME_CITAS}!A:R`,
+        valueInputOption: "USER_ENTERED",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: [valores] },
+    });
+}
+
+async function actualizarFila(numeroFila, valores) {
+    const sheets = await obtenerSheets();
+    await sheets.spreadsheets.values.update({
+        spreadsheetId: SHEET_ID_CITAS,
+        range: `${SHEET_NAME_CITAS}!A${numeroFila}:R${numeroFila}`,
+        valueInputOption: "USER_ENTERED",
+        requestBody: { values: [valores] },
+    });
+}
+
+// La API responde 400 "Unable to parse range" cuando la pestaña no existe.
+const esPestanaInexistente = (error) => /unable to parse range/i.test(error.message || '');
+
+async function obtenerCierres() {
+    const sheets = await obtenerSheets();
+    let response;
+    try {
+        response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SHEET_ID_CITAS,
+            range: `${SHEET_NAME_CIERRES}!A:C`,
+        });
+    } catch (error) {
+        // Sin la pestaña no hay cierres; agregar uno sí falla y pide crearla.
+        if (esPestanaInexistente(error)) return [];
+        throw error;
+    }
+    const rows = response.data.values || [];
+    return rows.slice(1)
+        .filter(([fecha]) => fecha)
+        .map(([fecha, motivo, creadoEn]) => ({ fecha, motivo: motivo || null, creadoEn: creadoEn || null }));
+}
+
+async function guardarCierres(cierres) {
+    const sheets = await obtenerSheets();
+    try {
+        await sheets.spreadsheets.values.clear({
+            spreadsheetId: SHEET_ID_CITAS,
+            range: `${SHEET_NAME_CIERRES}!A2:C`,
+        });
+    } catch (error) {
+        if (esPestanaInexistente(error)) {
+            throw new Error(`Cree la pestaña "${SHEET_NAME_CIERRES}" (columnas fecha, motivo, creadoEn) en la hoja de citas para guardar cierres.`);
+        }
+        throw error;
+    }
+    if (cierres.length === 0) return;
+    await sheets.spreadsheets.values.update({
+        spreadsheetId: SHEET_ID_CITAS,
+        range: `${SHEET_NAME_CIERRES}!A2:C${cierres.length + 1}`,
+        // RAW para que Sheets no convierta "2026-12-24" en fecha.
+        valueInputOption: "RAW",
+        requestBody: { values: cierres.map(c => [c.fecha, c.motivo || '', c.creadoEn || '']) },
+    });
+}
+
+module.exports = { nombre: 'sheets', obtenerCitas, agregarFila, actualizarFila, obtenerCierres, guardarCierres };
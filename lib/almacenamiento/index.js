@@ -0,0 +1,23 @@
+/**
+ * Selecciona el backend de almacenamiento de citas según CITAS_STORAGE.
+ *
+ * Todos los adaptadores exponen la misma interfaz:
+ *   - obtenerCitas(): Promise<Array<Array<string>>>  filas A:R sin encabezado
+ *   - agregarFila(valores): Promise<void>
+ *   - actualizarFila(numeroFila, valores): Promise<void>  numeroFila = índice + 2
+ *   - obtenerCierres(): Promise<Array<{fecha, motivo, creadoEn}>>  cierres extraordinarios
+ *   - guardarCierres(cierres): Promise<void>  reemplaza la lista completa
+ *
+ * Valores admitidos: 'sheets' (por defecto) y 'archivo'.
+ */
+const ADAPTADORES = {
+    sheets: () => require('./googleSheets'),
+    archivo: () => require('./archivoJson')
+};
+
+const tipo = (process.env.CITAS_STORAGE || 'sheets').toLowerCase();
+if (!ADAPTADORES[tipo]) {
+    throw new Error(`CITAS_STORAGE="${tipo}" no es válido. Use uno de: ${Object.keys(ADAPTADORES).join(', ')}.`);
+}
+
+module.exports = ADAPTADORES[tipo]();
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { responder } = require('./responder');
+
+// --- Autenticación por Token ---
+// Protege endpoints internos con un token compartido, enviado como
+// "Authorization: Bearer <token>" o, para clientes de calendario que no
+// permiten cabeceras, como ?token=<token>.
+
+const extraerToken = (req) => {
+    const cabecera = req.get('authorization') || '';
+    if (cabecera.toLowerCase().startsWith('bearer ')) return cabecera.slice(7).trim();
+    return req.query.token || '';
+};
+
+const tokensIguales = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Middleware que exige el token definido en alguna de las variables de entorno indicadas
+ * (se usa la primera que tenga valor). Si ninguna está definida el endpoint queda cerrado.
+ * @param {...string} variables - Nombres de variables de entorno, p. ej. 'CALENDARIO_TOKEN', 'ADMIN_TOKEN'.
+ */
+function requiereToken(...variables) {
+    return (req, res, next) => {
+        const esperado = variables.map(v => process.env[v]).find(Boolean);
+        if (!esperado) {
+            return responder(res, 503, "Endpoint no Configurado", {
+                mensaje: `Defina ${variables.join(' o ')} para habilitar este endpoint.`
+            });
+        }
+        if (!tokensIguales(extraerToken(req), esperado)) {
+            return responder(res, 401, "No Autorizado", {
+                mensaje: 'Token de acceso inválido o ausente.'
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { requiereToken };
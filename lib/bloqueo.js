@@ -0,0 +1,25 @@
+/**
+ * Mutex en memoria por clave: las tareas con la misma clave se ejecutan una tras otra.
+ * Sólo protege dentro de un proceso; entre instancias se complementa con la
+ * verificación posterior a la escritura (ver confirmarReserva en server.js).
+ */
+const colas = new Map();
+
+/**
+ * @template T
+ * @param {string} clave - Recurso a proteger.
+ * @param {() => Promise<T>} tarea - Trabajo a ejecutar en exclusiva.
+ * @returns {Promise<T>}
+ */
+function conBloqueo(clave, tarea) {
+    const anterior = colas.get(clave) || Promise.resolve();
+    const actual = anterior.then(() => tarea());
+    const cola = actual.catch(() => {});
+    colas.set(clave, cola);
+    cola.then(() => {
+        if (colas.get(clave) === cola) colas.delete(clave);
+    });
+    return actual;
+}
+
+module.exports = { conBloqueo };
@@ -0,0 +1,48 @@
+const { conBloqueo } = require('./bloqueo');
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('conBloqueo', () => {
+    test('las tareas con la misma clave se ejecutan una tras otra, en orden', async () => {
+        const eventos = [];
+        const tarea = (nombre, ms) => async () => {
+            eventos.push(`inicio ${nombre}`);
+            await esperar(ms);
+            eventos.push(`fin ${nombre}`);
+            return nombre;
+        };
+        const resultados = await Promise.all([
+            conBloqueo('citas', tarea('a', 30)),
+            conBloqueo('citas', tarea('b', 10)),
+            conBloqueo('citas', tarea('c', 0))
+        ]);
+        expect(resultados).toEqual(['a', 'b', 'c']);
+        expect(eventos).toEqual(['inicio a', 'fin a', 'inicio b', 'fin b', 'inicio c', 'fin c']);
+    });
+
+    test('claves distintas no se esperan entre sí', async () => {
+        const eventos = [];
+        await Promise.all([
+            conBloqueo('uno', async () => { eventos.push('inicio uno'); await esperar(20); eventos.push('fin uno'); }),
+            conBloqueo('dos', async () => { eventos.push('inicio dos'); await esperar(0); eventos.push('fin dos'); })
+        ]);
+        expect(eventos).toEqual(['inicio uno', 'inicio dos', 'fin dos', 'fin uno']);
+    });
+
+    test('una tarea que falla rechaza solo su promesa y libera la clave', async () => {
+        const fallida = conBloqueo('citas', async () => { throw new Error('sin conexión'); });
+        const siguiente = conBloqueo('citas', async () => 'ok');
+        await expect(fallida).rejects.toThrow('sin conexión');
+        await expect(siguiente).resolves.toBe('ok');
+    });
+
+    test('una lectura y escritura protegida no pierde actualizaciones', async () => {
+        let contador = 0;
+        await Promise.all(Array.from({ length: 20 }, () => conBloqueo('contador', async () => {
+            const leido = contador;
+            await esperar(1);
+            contador = leido + 1;
+        })));
+        expect(contador).toBe(20);
+    });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const almacenamiento = require('./almacenamiento');
+const { conBloqueo } = require('./bloqueo');
+const { aInstante, enZona } = require('./zonaHoraria');
+
+// --- Calendario del Negocio ---
+// Horario semanal y feriados fijos en config/calendario.json (o CALENDARIO_ARCHIVO).
+// Cada día tiene una lista de tramos { inicio, fin } en la zona del negocio; la comida
+// se expresa partiendo el día en dos tramos y un día sin tramos está cerrado.
+// Los feriados usan "MM-DD" (cada año) o "YYYY-MM-DD" (feriados móviles).
+// Los cierres extraordinarios se administran por API y se guardan en el mismo backend que
+// las citas (CITAS_STORAGE), así que todas las instancias ven los mismos.
+
+const RUTA_CALENDARIO = path.resolve(process.env.CALENDARIO_ARCHIVO || path.join(__dirname, '..', 'config', 'calendario.json'));
+
+// Índice = Date#getUTCDay().
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const PATRON_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function cargarConfiguracion(ruta = RUTA_CALENDARIO) {
+    const { horario = {}, feriados = [] } = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    const semana = DIAS_SEMANA.map(dia => {
+        const tramos = horario[dia] || [];
+        tramos.forEach(({ inicio, fin }, i) => {
+            if (!PATRON_HORA.test(inicio || '') || !PATRON_HORA.test(fin || '') || fin <= inicio) {
+                throw new Error(`Tramo #${i + 1} del ${dia} en ${ruta}: "inicio" y "fin" deben ser HH:mm y fin posterior a inicio.`);
+            }
+        });
+        return [...tramos].sort((a, b) => a.inicio.localeCompare(b.inicio));
+    });
+    feriados.forEach(({ fecha }, i) => {
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(fecha || '')) {
+            throw new Error(`Feriado #${i + 1} en ${ruta}: "fecha" debe ser MM-DD o YYYY-MM-DD.`);
+        }
+    });
+    return { semana, feriados };
+}
+
+const configuracion = cargarConfiguracion();
+
+const leerCierres = () => almacenamiento.obtenerCierres();
+
+const diaDeLaSemana = (fecha) => DIAS_SEMANA[new Date(`${fecha}T12:00:00Z`).getUTCDay()];
+
+const buscarFeriado = (fecha) => configuracion.feriados
+    .find(f => f.fecha === fecha || f.fecha === fecha.slice(5)) || null;
+
+/**
+ * Carga los cierres vigentes y devuelve las consultas del calendario para una solicitud.
+ * Se lee en cada solicitud para que todas las instancias vean los cierres recientes.
+ */
+async function obtenerCalendario() {
+    const cierres = await leerCierres();
+
+    /**
+     * Motivo por el que el negocio no abre en `fecha`, o null si abre.
+     * @param {string} fecha - YYYY-MM-DD en la zona del negocio.
+     */
+    const motivoCierre = (fecha) => {
+        const cierre = cierres.find(c => c.fecha === fecha);
+        if (cierre) return cierre.motivo || 'Cierre extraordinario';
+        const feriado = buscarFeriado(fecha);
+        if (feriado) return feriado.nombre || 'Día feriado';
+        const dia = diaDeLaSemana(fecha);
+        return configuracion.semana[DIAS_SEMANA.indexOf(dia)].length === 0 ? `Día sin horario de atención (${dia})` : null;
+    };
+
+    /**
+     * Tramos de atención de `fecha` como instantes; vacío si el negocio no abre.
+     * @returns {Array<{inicio: Date, fin: Date}>}
+     */
+    const tramosDelDia = (fecha) => {
+        if (motivoCierre(fecha)) return [];
+        return configuracion.semana[DIAS_SEMANA.indexOf(diaDeLaSemana(fecha))]
+            .map(({ inicio, fin }) => ({ inicio: aInstante(fecha, inicio), fin: aInstante(fecha, fin) }));
+    };
+
+    /**
+     * Indica si [inicio, fin) cabe completo en un tramo de atención.
+     */
+    const dentroDeHorario = (inicio, fin) => tramosDelDia(enZona(inicio).fecha)
+        .some(tramo => inicio >= tramo.inicio && fin <= tramo.fin);
+
+    /**
+     * Texto del horario de `fecha` para mensajes, p. ej. "09:00-14:00, 15:00-18:00".
+     */
+    const describirHorario = (fecha) => {
+        const motivo = motivoCierre(fecha);
+        if (motivo) return `cerrado (${motivo})`;
+        return configuracion.semana[DIAS_SEMANA.indexOf(diaDeLaSemana(fecha))]
+            .map(({ inicio, fin }) => `${inicio}-${fin}`).join(', ');
+    };
+
+    return { motivoCierre, tramosDelDia, dentroDeHorario, describirHorario };
+}
+
+const horarioSemanal = () => DIAS_SEMANA.map((dia, i) => ({ dia, tramos: configuracion.semana[i] }));
+
+const listarFeriados = () => configuracion.feriados;
+
+const listarCierres = async () => (await leerCierres()).sort((a, b) => a.fecha.localeCompare(b.fecha));
+
+/**
+ * Registra un cierre extraordinario de día completo. Si la fecha ya estaba cerrada
+ * se actualiza su motivo.
+ * @returns {Promise<object>} El cierre guardado.
+ */
+function agregarCierre({ fecha, motivo }) {
+    return conBloqueo('cierres', async () => {
+        const cierres = await leerCierres();
+        const cierre = { fecha, motivo: motivo || null, creadoEn: new Date().toISOString() };
+        await almacenamiento.guardarCierres([...cierres.filter(c => c.fecha !== fecha), cierre]);
+        return cierre;
+    });
+}
+
+/**
+ * Elimina el cierre de `fecha`.
+ * @returns {Promise<object|null>} El cierre eliminado, o null si no existía.
+ */
+function eliminarCierre(fecha) {
+    return conBloqueo('cierres', async () => {
+        const cierres = await leerCierres();
+        const cierre = cierres.find(c => c.fecha === fecha);
+        if (!cierre) return null;
+        await almacenamiento.guardarCierres(cierres.filter(c => c.fecha !== fecha));
+        return cierre;
+    });
+}
+
+module.exports = { obtenerCalendario, horarioSemanal, listarFeriados, listarCierres, agregarCierre, eliminarCierre };
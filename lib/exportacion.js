@@ -0,0 +1,60 @@
+const XLSX = require('xlsx');
+
+// --- Exportación de Tablas ---
+// Convierte columnas { clave, titulo } y objetos en archivos CSV o XLSX descargables.
+
+// Prefijos que Excel interpreta como fórmula al abrir un CSV ("inyección de CSV").
+const PREFIJOS_FORMULA = /^[=+\-@\t\r]/;
+const ES_NUMERO = /^[+-]?\d[\d\s.]*$/;
+
+const valorCsv = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    // Teléfonos como +5255... y números negativos no son fórmulas; el resto se neutraliza.
+    if (PREFIJOS_FORMULA.test(texto) && !ES_NUMERO.test(texto)) texto = `'${texto}`;
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * CSV (RFC 4180) con BOM para que Excel detecte UTF-8 y los acentos se vean bien.
+ * @param {Array<{clave: string, titulo: string}>} columnas
+ * @param {Array<Object>} filas
+ * @returns {string}
+ */
+function generarCsv(columnas, filas) {
+    const lineas = [
+        columnas.map(c => valorCsv(c.titulo)).join(','),
+        ...filas.map(fila => columnas.map(c => valorCsv(fila[c.clave])).join(','))
+    ];
+    return `\uFEFF${lineas.join('\r\n')}\r\n`;
+}
+
+/**
+ * Libro XLSX de una hoja con encabezados, filtros y anchos de columna ajustados.
+ * @param {Array<{clave: string, titulo: string}>} columnas
+ * @param {Array<Object>} filas
+ * @param {string} [nombreHoja]
+ * @returns {Buffer}
+ */
+function generarXlsx(columnas, filas, nombreHoja = 'Datos') {
+    const datos = [
+        columnas.map(c => c.titulo),
+        ...filas.map(fila => columnas.map(c => fila[c.clave] === null || fila[c.clave] === undefined ? '' : fila[c.clave]))
+    ];
+    const hoja = XLSX.utils.aoa_to_sheet(datos);
+    hoja['!cols'] = columnas.map((c, i) => ({
+        wch: Math.min(50, Math.max(...datos.map(fila => String(fila[i]).length), 8) + 2)
+    }));
+    hoja['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: filas.length, c: columnas.length - 1 } }) };
+
+    const libro = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(libro, hoja, nombreHoja.slice(0, 31));
+    return XLSX.write(libro, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const TIPOS_CONTENIDO = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+module.exports = { generarCsv, generarXlsx, TIPOS_CONTENIDO };
@@ -0,0 +1,49 @@
+const XLSX = require('xlsx');
+const { generarCsv, generarXlsx } = require('./exportacion');
+
+// Celda CSV de un solo valor, sin BOM ni encabezado.
+const celdaCsv = (valor) => generarCsv([{ clave: 'v', titulo: 'Valor' }], [{ v: valor }]).split('\r\n')[1];
+
+describe('generarCsv', () => {
+    test.each([
+        ['=1+1', "'=1+1"],
+        ['=HYPERLINK("http://x","clic")', `"'=HYPERLINK(""http://x"",""clic"")"`],
+        ['+SUMA(A1:A2)', "'+SUMA(A1:A2)"],
+        ['-2+3', "'-2+3"],
+        ['@SUM(A1)', "'@SUM(A1)"],
+        ['\tcomando', "'\tcomando"]
+    ])('neutraliza la fórmula %p', (valor, esperado) => {
+        expect(celdaCsv(valor)).toBe(esperado);
+    });
+
+    test.each([
+        ['+525512345678'],
+        ['+52 55 1234 5678'],
+        ['-5'],
+        ['-1.5'],
+        [-5],
+        ['2026-11-03'],
+        ['APT-7K2M9Q']
+    ])('deja intacto %p', (valor) => {
+        expect(celdaCsv(valor)).toBe(String(valor));
+    });
+
+    test('entrecomilla comas, comillas y saltos de línea', () => {
+        expect(celdaCsv('Pérez, Ana')).toBe('"Pérez, Ana"');
+        expect(celdaCsv('dijo "hola"')).toBe('"dijo ""hola"""');
+        expect(celdaCsv('línea 1\nlínea 2')).toBe('"línea 1\nlínea 2"');
+    });
+
+    test('incluye BOM, encabezados y celdas vacías para null', () => {
+        const csv = generarCsv([{ clave: 'a', titulo: 'A' }, { clave: 'b', titulo: 'B' }], [{ a: 1, b: null }]);
+        expect(csv).toBe('\uFEFFA,B\r\n1,\r\n');
+    });
+});
+
+test('generarXlsx conserva los valores tal cual en una hoja con filtros', () => {
+    const libro = XLSX.read(generarXlsx([{ clave: 'f', titulo: 'Fórmula' }], [{ f: '=1+1' }], 'Citas'), { type: 'buffer' });
+    const hoja = libro.Sheets.Citas;
+    expect(XLSX.utils.sheet_to_json(hoja)).toEqual([{ 'Fórmula': '=1+1' }]);
+    expect(hoja.A2.f).toBeUndefined();
+    expect(hoja['!autofilter']).toEqual({ ref: 'A1:A2' });
+});
@@ -0,0 +1,85 @@
+// --- Generación de iCalendar (RFC 5545) ---
+// Produce eventos .ics para adjuntar en correos y para el feed de calendario del personal.
+
+const PRODID = '-//Price List API Hub//Citas//ES';
+const DOMINIO_UID = process.env.ICS_DOMINIO || 'citas.price-list-api';
+
+const aFechaUtc = (instante) => instante.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escaparTexto = (texto) => String(texto || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Las líneas no deben superar 75 octetos; las continuaciones empiezan con un espacio.
+function plegarLinea(linea) {
+    const partes = [];
+    let actual = '';
+    for (const caracter of linea) {
+        const limite = partes.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(actual + caracter) > limite) {
+            partes.push(actual);
+            actual = '';
+        }
+        actual += caracter;
+    }
+    partes.push(actual);
+    return partes.join('\r\n ');
+}
+
+/**
+ * Líneas VEVENT de una cita.
+ * @param {object} evento
+ * @param {string} evento.uid - Identificador estable (se le agrega el dominio).
+ * @param {Date} evento.inicio
+ * @param {Date} evento.fin
+ * @param {string} evento.resumen
+ * @param {string} [evento.descripcion]
+ * @param {string} [evento.ubicacion]
+ * @param {boolean} [evento.cancelado=false]
+ * @param {number} [evento.secuencia=0] - Debe crecer con cada cambio del mismo evento.
+ * @param {string} [evento.organizador] - Correo del organizador (requerido por METHOD:CANCEL).
+ * @returns {Array<string>}
+ */
+function lineasEvento({ uid, inicio, fin, resumen, descripcion, ubicacion, cancelado = false, secuencia = 0, organizador }) {
+    const lineas = [
+        'BEGIN:VEVENT',
+        `UID:${uid}@${DOMINIO_UID}`,
+        `DTSTAMP:${aFechaUtc(new Date())}`,
+        `DTSTART:${aFechaUtc(inicio)}`,
+        `DTEND:${aFechaUtc(fin)}`,
+        `SUMMARY:${escaparTexto(resumen)}`,
+        `SEQUENCE:${secuencia}`,
+        `STATUS:${cancelado ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+    if (descripcion) lineas.push(`DESCRIPTION:${escaparTexto(descripcion)}`);
+    if (ubicacion) lineas.push(`LOCATION:${escaparTexto(ubicacion)}`);
+    if (organizador) lineas.push(`ORGANIZER:mailto:${organizador}`);
+    lineas.push('END:VEVENT');
+    return lineas;
+}
+
+/**
+ * Documento VCALENDAR completo.
+ * @param {Array<object>} eventos - Ver lineasEvento.
+ * @param {object} [opciones]
+ * @param {'PUBLISH'|'CANCEL'} [opciones.metodo='PUBLISH']
+ * @param {string} [opciones.nombre] - Nombre del calendario (X-WR-CALNAME).
+ * @returns {string}
+ */
+function generarCalendario(eventos, { metodo = 'PUBLISH', nombre } = {}) {
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${metodo}`
+    ];
+    if (nombre) lineas.push(`X-WR-CALNAME:${escaparTexto(nombre)}`);
+    eventos.forEach(evento => lineas.push(...lineasEvento(evento)));
+    lineas.push('END:VCALENDAR');
+    return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+}
+
+module.exports = { generarCalendario };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// --- Identificadores de Cita, de Serie y de Carga ---
+// Formato APT-XXXXXX (citas), SER-XXXXXX (series de citas recurrentes) y CRG-XXXXXX
+// (cargas de lista de precios pendientes de confirmar) con un alfabeto sin caracteres ambiguos al dictarlos por teléfono
+// (sin 0/O, 1/I/L ni U/V): 29^6 ≈ 595 millones de combinaciones.
+
+const ALFABETO = '23456789ABCDEFGHJKMNPQRSTWXYZ';
+const LONGITUD = 6;
+const MAX_INTENTOS = 20;
+
+/**
+ * Forma canónica para comparar IDs escritos por personas:
+ * "apt 7kq-4mz" y "APT-7KQ4MZ" son el mismo ID.
+ */
+const normalizarIdCita = (texto) => String(texto || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function generarId(prefijo, existentes) {
+    const usados = new Set([...existentes].map(normalizarIdCita));
+    for (let intento = 0; intento < MAX_INTENTOS; intento++) {
+        let cuerpo = '';
+        for (let i = 0; i < LONGITUD; i++) cuerpo += ALFABETO[crypto.randomInt(ALFABETO.length)];
+        const id = `${prefijo}${cuerpo}`;
+        if (!usados.has(normalizarIdCita(id))) return id;
+    }
+    throw new Error(`No se pudo generar un ID ${prefijo}... único.`);
+}
+
+/**
+ * Genera un ID de cita que no existe entre los ya registrados.
+ * @param {Iterable<string>} existentes - IDs actuales (en cualquier formato).
+ * @returns {string}
+ */
+const generarIdCita = (existentes = []) => generarId('APT-', existentes);
+
+/**
+ * Genera un ID de serie que no existe entre los ya registrados.
+ * @param {Iterable<string>} existentes - IDs de serie actuales.
+ * @returns {string}
+ */
+const generarIdSerie = (existentes = []) => generarId('SER-', existentes);
+
+/**
+ * Genera un ID para una carga de lista de precios pendiente de confirmar.
+ * @param {Iterable<string>} existentes - IDs de las cargas pendientes.
+ * @returns {string}
+ */
+const generarIdCarga = (existentes = []) => generarId('CRG-', existentes);
+
+module.exports = { generarIdCita, generarIdSerie, generarIdCarga, normalizarIdCita };
@@ -0,0 +1,171 @@
+const { normalizarTexto } = require('../validacion');
+
+// --- Índice de Búsqueda ---
+// Se construye una vez por versión de la lista: cada término (minúsculas, sin acentos) apunta
+// a los productos que lo contienen en el nombre o en el ID. Palabras compuestas como "MR-166"
+// se indexan por partes ("mr", "166") y unidas ("mr166").
+//
+// Cada término de la consulta debe coincidir con algún término del producto, de forma
+// exacta (1), por prefijo (0.8) o contenida (0.5); si no hay ninguna, se aceptan términos
+// con uno o dos errores de tecleo (0.6 / 0.4).
+// La relevancia del producto es la suma de la mejor coincidencia de cada término, con más
+// peso si coincide en el ID.
+
+const PUNTAJES = { exacto: 1, prefijo: 0.8, contenido: 0.5 };
+const PUNTAJE_POR_DISTANCIA = { 1: 0.6, 2: 0.4 };
+const PESO_CAMPO = { nombre: 1, id: 1.5 };
+// Bono cuando la consulta completa aparece tal cual en el nombre ("blazer hp").
+const BONO_FRASE = 0.5;
+
+// Palabras que no distinguen productos en una lista de llantas.
+const PALABRAS_VACIAS = new Set(['de', 'del', 'la', 'las', 'el', 'los', 'para', 'con', 'y', 'en', 'llanta', 'llantas', 'neumatico', 'neumaticos']);
+
+/**
+ * Términos de un texto sin acentos ni mayúsculas. Con `compuestos` se agregan también
+ * las palabras con guion o diagonal unidas ("mr-166" → "mr166").
+ * @returns {Array<string>}
+ */
+function tokenizar(texto, { compuestos = false } = {}) {
+    const terminos = new Set();
+    for (const palabra of normalizarTexto(texto).split(/\s+/)) {
+        const partes = palabra.split(/[^a-z0-9]+/).filter(Boolean);
+        partes.forEach(p => terminos.add(p));
+        if (compuestos && partes.length > 1) terminos.add(partes.join(''));
+    }
+    return [...terminos];
+}
+
+/**
+ * Distancia de edición con transposiciones (Damerau–Levenshtein restringida); se corta en
+ * cuanto supera `maximo` y devuelve maximo + 1.
+ */
+function distancia(a, b, maximo) {
+    if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+    let antepenultima = [];
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                actual[j] = Math.min(actual[j], antepenultima[j - 2] + 1);
+            }
+            minimoFila = Math.min(minimoFila, actual[j]);
+        }
+        if (minimoFila > maximo) return maximo + 1;
+        antepenultima = anterior;
+        anterior = actual;
+    }
+    return anterior[b.length];
+}
+
+// Errores de tecleo tolerados según el largo del término; los números nunca se aproximan.
+const erroresPermitidos = (termino) => /^\d+$/.test(termino) ? 0 : termino.length >= 8 ? 2 : termino.length >= 4 ? 1 : 0;
+
+/**
+ * @param {Array<object>} productos - Productos de una versión de la lista.
+ * @returns {{terminos: Map<string, {nombre: Set<number>, id: Set<number>}>}} Índice por posición del producto.
+ */
+function crearIndice(productos) {
+    const terminos = new Map();
+    const agregar = (termino, campo, posicion) => {
+        if (!terminos.has(termino)) terminos.set(termino, { nombre: new Set(), id: new Set() });
+        terminos.get(termino)[campo].add(posicion);
+    };
+    productos.forEach((p, i) => {
+        tokenizar(p['Producto'], { compuestos: true }).forEach(t => agregar(t, 'nombre', i));
+        tokenizar(p['ID Producto'], { compuestos: true }).forEach(t => agregar(t, 'id', i));
+    });
+    return { terminos };
+}
+
+/**
+ * Términos del índice que coinciden con un término de la consulta y su puntaje. Las
+ * coincidencias aproximadas solo se usan si no hay ninguna exacta, por prefijo o contenida.
+ * @returns {Array<{termino: string, puntaje: number, aproximado: boolean}>}
+ */
+function coincidencias(indice, buscado) {
+    const maximo = erroresPermitidos(buscado);
+    const numerico = /^\d+$/.test(buscado);
+    const directas = [];
+    const aproximadas = [];
+    for (const termino of indice.terminos.keys()) {
+        if (termino === buscado) {
+            directas.push({ termino, puntaje: PUNTAJES.exacto, aproximado: false });
+        } else if (!numerico && buscado.length >= 2 && termino.startsWith(buscado)) {
+            directas.push({ termino, puntaje: PUNTAJES.prefijo, aproximado: false });
+        } else if (buscado.length >= 3 && termino.includes(buscado)) {
+            directas.push({ termino, puntaje: PUNTAJES.contenido, aproximado: false });
+        } else if (maximo > 0) {
+            const errores = distancia(buscado, termino, maximo);
+            if (errores <= maximo) aproximadas.push({ termino, puntaje: PUNTAJE_POR_DISTANCIA[errores], aproximado: true });
+        }
+    }
+    return directas.length > 0 ? directas : aproximadas;
+}
+
+/**
+ * Busca `consulta` en los campos indicados. Todos los términos de la consulta deben
+ * coincidir; las palabras vacías se ignoran salvo que la consulta solo tenga esas.
+ * @param {object} indice - Resultado de crearIndice.
+ * @param {Array<object>} productos - Los mismos productos con que se creó el índice.
+ * @param {string} consulta
+ * @param {Array<'nombre'|'id'>} [campos]
+ * @returns {{resultados: Map<number, {relevancia: number, terminos: Set<string>}>, aproximaciones: Array<{term: string, matches: Array<string>}>}}
+ */
+function buscarEnIndice(indice, productos, consulta, campos = ['nombre', 'id']) {
+    const todos = tokenizar(consulta);
+    const significativos = todos.filter(t => !PALABRAS_VACIAS.has(t));
+    const buscados = significativos.length > 0 ? significativos : todos;
+
+    let resultados = null;
+    const aproximaciones = [];
+    for (const buscado of buscados) {
+        const porProducto = new Map();
+        const aproximados = new Set();
+        for (const { termino, puntaje, aproximado } of coincidencias(indice, buscado)) {
+            const entrada = indice.terminos.get(termino);
+            for (const campo of campos) {
+                for (const posicion of entrada[campo]) {
+                    const valor = puntaje * PESO_CAMPO[campo];
+                    const previo = porProducto.get(posicion);
+                    if (!previo || valor > previo.valor) porProducto.set(posicion, { valor, termino, aproximado });
+                }
+            }
+        }
+
+        const siguientes = new Map();
+        for (const [posicion, { valor, termino, aproximado }] of porProducto) {
+            if (resultados && !resultados.has(posicion)) continue;
+            const acumulado = resultados ? resultados.get(posicion) : { relevancia: 0, terminos: new Set() };
+            acumulado.relevancia += valor;
+            acumulado.terminos.add(termino);
+            if (aproximado) aproximados.add(termino);
+            siguientes.set(posicion, acumulado);
+        }
+        resultados = siguientes;
+        if (aproximados.size > 0) aproximaciones.push({ term: buscado, matches: [...aproximados] });
+        if (resultados.size === 0) break;
+    }
+
+    const frase = normalizarTexto(consulta);
+    for (const [posicion, acumulado] of resultados || []) {
+        if (campos.includes('nombre') && normalizarTexto(productos[posicion]['Producto']).includes(frase)) acumulado.relevancia += BONO_FRASE;
+    }
+    return { resultados: resultados || new Map(), aproximaciones };
+}
+
+/**
+ * Marca en negritas (markdown) las palabras de `texto` que contienen alguno de `terminos`.
+ */
+function resaltar(texto, terminos) {
+    if (!terminos || terminos.size === 0) return texto;
+    return String(texto).split(/(\s+)/).map(palabra => {
+        if (!palabra.trim()) return palabra;
+        return tokenizar(palabra, { compuestos: true }).some(t => terminos.has(t)) ? `**${palabra.replace(/\*/g, '\\*')}**` : palabra;
+    }).join('');
+}
+
+module.exports = { tokenizar, crearIndice, buscarEnIndice, resaltar };
@@ -0,0 +1,89 @@
+const { tokenizar, crearIndice, buscarEnIndice, resaltar } = require('./busqueda');
+
+const PRODUCTOS = [
+    { 'ID Producto': 'LL-1', 'Producto': '155/70R13 COMPASAL BLAZER HP 75T' },
+    { 'ID Producto': 'LL-2', 'Producto': '185/65R15 MIRAGE MR-162 88H' },
+    { 'ID Producto': 'ANT-7', 'Producto': '205/55R16 ANTARES INGENS A1 91V' },
+    { 'ID Producto': 'LL-4', 'Producto': '175/70R14 BLAZERX 82T' },
+    { 'ID Producto': 'LL-5', 'Producto': '195/65R15 ULTRABLAZER 91H' },
+    { 'ID Producto': 'LL-6', 'Producto': '7.50R16 CAMIÓN CARGA PESADA' }
+];
+const indice = crearIndice(PRODUCTOS);
+
+const buscar = (consulta, campos) => buscarEnIndice(indice, PRODUCTOS, consulta, campos);
+// IDs en orden de relevancia, como los presenta la ruta de búsqueda.
+const ids = ({ resultados }) => [...resultados]
+    .sort((a, b) => b[1].relevancia - a[1].relevancia)
+    .map(([posicion]) => PRODUCTOS[posicion]['ID Producto']);
+
+describe('tokenizar', () => {
+    test('quita acentos y mayúsculas y separa por signos', () => {
+        expect(tokenizar('Antarés 185/65R15')).toEqual(['antares', '185', '65r15']);
+    });
+
+    test('con compuestos agrega las palabras unidas', () => {
+        expect(tokenizar('MR-162', { compuestos: true })).toEqual(['mr', '162', 'mr162']);
+        expect(tokenizar('MR-162')).toEqual(['mr', '162']);
+    });
+});
+
+describe('buscarEnIndice', () => {
+    test('no distingue acentos en la consulta ni en el producto', () => {
+        expect(ids(buscar('antarés'))).toEqual(['ANT-7']);
+        expect(ids(buscar('camion'))).toEqual(['LL-6']);
+    });
+
+    test('encuentra por prefijo y por palabra compuesta', () => {
+        expect(ids(buscar('mirag'))).toEqual(['LL-2']);
+        expect(ids(buscar('mr162'))).toEqual(['LL-2']);
+    });
+
+    test('tolera un error de tecleo y lo reporta', () => {
+        const resultado = buscar('compasl');
+        expect(ids(resultado)).toEqual(['LL-1']);
+        expect(resultado.aproximaciones).toEqual([{ term: 'compasl', matches: ['compasal'] }]);
+        expect(ids(buscar('antaers'))).toEqual(['ANT-7']);
+    });
+
+    test('las coincidencias directas desplazan a las aproximadas', () => {
+        const resultado = buscar('blazer');
+        expect(resultado.aproximaciones).toEqual([]);
+    });
+
+    test('no aproxima números ni términos cortos', () => {
+        expect(ids(buscar('163'))).toEqual([]);
+        expect(ids(buscar('hq'))).toEqual([]);
+    });
+
+    test('ordena exacto, luego prefijo, luego contenido', () => {
+        expect(ids(buscar('blazer'))).toEqual(['LL-1', 'LL-4', 'LL-5']);
+    });
+
+    test('una coincidencia en el ID pesa más que en el nombre', () => {
+        // "ant" es exacto en el ID (1 × 1.5) y prefijo en el nombre (0.8); ambos suman el bono de frase.
+        expect(buscar('ant').resultados.get(2).relevancia).toBeCloseTo(2);
+        expect(buscar('ant', ['nombre']).resultados.get(2).relevancia).toBeCloseTo(1.3);
+    });
+
+    test('la frase completa en el nombre suma un bono', () => {
+        const conFrase = buscar('blazer hp').resultados.get(0).relevancia;
+        const sinFrase = buscar('hp blazer').resultados.get(0).relevancia;
+        expect(conFrase - sinFrase).toBeCloseTo(0.5);
+    });
+
+    test('todos los términos deben coincidir', () => {
+        expect(ids(buscar('compasal mirage'))).toEqual([]);
+        expect(ids(buscar('blazer 75t'))).toEqual(['LL-1']);
+    });
+
+    test('ignora las palabras vacías salvo que sean toda la consulta', () => {
+        expect(ids(buscar('llanta para compasal'))).toEqual(['LL-1']);
+        expect(ids(buscar('de'))).toEqual([]);
+    });
+});
+
+test('resaltar marca las palabras que contienen los términos encontrados', () => {
+    expect(resaltar('185/65R15 MIRAGE MR-162 88H', new Set(['mirage', 'mr162'])))
+        .toBe('185/65R15 **MIRAGE** **MR-162** 88H');
+    expect(resaltar('Sin términos', new Set())).toBe('Sin términos');
+});
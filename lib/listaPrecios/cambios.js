@@ -0,0 +1,44 @@
+// --- Cambios entre Listas de Precios ---
+// Compara dos listas por "ID Producto" (sin distinguir mayúsculas). Los precios ya vienen
+// redondeados, así que variaciones de centavos no cuentan como cambio.
+
+const CAMPOS_COMPARADOS = ['Producto', 'PRECIO FINAL', 'COSTO CON IVA', 'Costo Uni Unitario', 'Exit.'];
+
+const indexarPorId = (productos) => new Map(productos.map(p => [p['ID Producto'].toUpperCase(), p]));
+
+/**
+ * @param {Array<object>} anteriores - Productos de la lista vigente (vacía si no hay).
+ * @param {Array<object>} nuevos - Productos de la lista nueva.
+ * @returns {{
+ *   agregados: Array<object>,
+ *   eliminados: Array<object>,
+ *   modificados: Array<{id: string, producto: string, anterior: object, nuevo: object, cambios: Object<string, {antes: *, despues: *}>}>
+ * }} `cambios` solo incluye los campos de CAMPOS_COMPARADOS que cambiaron.
+ */
+function compararProductos(anteriores, nuevos) {
+    const porIdAnterior = indexarPorId(anteriores);
+    const porIdNuevo = indexarPorId(nuevos);
+
+    const agregados = nuevos.filter(p => !porIdAnterior.has(p['ID Producto'].toUpperCase()));
+    const eliminados = anteriores.filter(p => !porIdNuevo.has(p['ID Producto'].toUpperCase()));
+    const modificados = [];
+    for (const nuevo of nuevos) {
+        const anterior = porIdAnterior.get(nuevo['ID Producto'].toUpperCase());
+        if (!anterior) continue;
+        const cambios = {};
+        CAMPOS_COMPARADOS.forEach(campo => {
+            if (anterior[campo] !== nuevo[campo]) cambios[campo] = { antes: anterior[campo], despues: nuevo[campo] };
+        });
+        if (Object.keys(cambios).length > 0) {
+            modificados.push({ id: nuevo['ID Producto'], producto: nuevo['Producto'], anterior, nuevo, cambios });
+        }
+    }
+    return { agregados, eliminados, modificados };
+}
+
+/**
+ * Variación de precio en porcentaje con un decimal, o null si el precio anterior era 0.
+ */
+const variacionPorcentual = (antes, despues) => antes === 0 ? null : Math.round(((despues - antes) / antes) * 1000) / 10;
+
+module.exports = { CAMPOS_COMPARADOS, compararProductos, variacionPorcentual };
@@ -0,0 +1,66 @@
+const { CAMPOS_COMPARADOS, compararProductos, variacionPorcentual } = require('./cambios');
+
+// Solo las columnas que intervienen en cada caso; las ausentes son iguales en ambas listas.
+describe('compararProductos', () => {
+    const anteriores = [
+        { 'ID Producto': 'LL-1', 'Producto': 'COMPASAL BLAZER', 'PRECIO FINAL': 1000, 'Exit.': 4 },
+        { 'ID Producto': 'LL-2', 'Producto': 'MIRAGE MR-162', 'PRECIO FINAL': 1500, 'Exit.': 4 },
+        { 'ID Producto': 'LL-3', 'Producto': 'ANTARES INGENS', 'PRECIO FINAL': 1200, 'Exit.': 4 },
+        { 'ID Producto': 'LL-4', 'Producto': 'HANKOOK KINERGY', 'PRECIO FINAL': 2000, 'Exit.': 4 }
+    ];
+    const nuevos = [
+        { 'ID Producto': 'LL-1', 'Producto': 'COMPASAL BLAZER', 'PRECIO FINAL': 1100, 'Exit.': 4 },
+        { 'ID Producto': 'LL-2', 'Producto': 'MIRAGE MR-162', 'PRECIO FINAL': 1500, 'Exit.': 0 },
+        { 'ID Producto': 'LL-3', 'Producto': 'ANTARES INGENS', 'PRECIO FINAL': 1200, 'Exit.': 4 },
+        { 'ID Producto': 'LL-5', 'Producto': 'NEXEN N5000', 'PRECIO FINAL': 1800, 'Exit.': 6 }
+    ];
+    const { agregados, eliminados, modificados } = compararProductos(anteriores, nuevos);
+
+    test('separa agregados y eliminados por ID', () => {
+        expect(agregados.map(p => p['ID Producto'])).toEqual(['LL-5']);
+        expect(eliminados.map(p => p['ID Producto'])).toEqual(['LL-4']);
+    });
+
+    test('los modificados solo traen los campos que cambiaron', () => {
+        expect(modificados.map(m => m.id)).toEqual(['LL-1', 'LL-2']);
+        expect(modificados[0].cambios).toEqual({ 'PRECIO FINAL': { antes: 1000, despues: 1100 } });
+        expect(modificados[1].cambios).toEqual({ 'Exit.': { antes: 4, despues: 0 } });
+    });
+
+    test('un cambio de precio se distingue de otros cambios', () => {
+        const repreciados = modificados.filter(m => m.cambios['PRECIO FINAL']);
+        const otros = modificados.filter(m => !m.cambios['PRECIO FINAL']);
+        expect(repreciados.map(m => m.id)).toEqual(['LL-1']);
+        expect(otros.map(m => m.id)).toEqual(['LL-2']);
+    });
+
+    test('un producto repreciado con otros cambios conserva todos sus campos', () => {
+        const antes = { 'ID Producto': 'LL-1', 'Producto': 'COMPASAL BLAZER', 'PRECIO FINAL': 1000, 'COSTO CON IVA': 700 };
+        const despues = { 'ID Producto': 'LL-1', 'Producto': 'COMPASAL BLAZER HP', 'PRECIO FINAL': 900, 'COSTO CON IVA': 650 };
+        const [modificado] = compararProductos([antes], [despues]).modificados;
+        expect(Object.keys(modificado.cambios)).toEqual(['Producto', 'PRECIO FINAL', 'COSTO CON IVA']);
+    });
+
+    test('compara los ID sin distinguir mayúsculas', () => {
+        const resultado = compararProductos([{ 'ID Producto': 'll-1', 'PRECIO FINAL': 100 }], [{ 'ID Producto': 'LL-1', 'PRECIO FINAL': 100 }]);
+        expect(resultado).toEqual({ agregados: [], eliminados: [], modificados: [] });
+    });
+
+    test('sin lista anterior todo es agregado', () => {
+        expect(compararProductos([], nuevos).agregados).toHaveLength(nuevos.length);
+    });
+
+    test('ignora campos fuera de CAMPOS_COMPARADOS', () => {
+        expect(CAMPOS_COMPARADOS).not.toContain('specs');
+        const antes = { 'ID Producto': 'LL-1', 'PRECIO FINAL': 100, specs: { width: 155 } };
+        const despues = { 'ID Producto': 'LL-1', 'PRECIO FINAL': 100, specs: { width: 155 } };
+        expect(compararProductos([antes], [despues]).modificados).toEqual([]);
+    });
+});
+
+test('variacionPorcentual redondea a un decimal y evita dividir entre cero', () => {
+    expect(variacionPorcentual(1000, 1100)).toBe(10);
+    expect(variacionPorcentual(1500, 1000)).toBe(-33.3);
+    expect(variacionPorcentual(300, 301)).toBe(0.3);
+    expect(variacionPorcentual(0, 500)).toBeNull();
+});
@@ -0,0 +1,43 @@
+const { generarIdCarga, normalizarIdCita } = require('../identificadores');
+
+// --- Cargas Pendientes de Confirmar ---
+// Un Excel subido se valida y se guarda aquí, junto con la versión activa contra la que se
+// calculó la vista previa, hasta que se confirma, se descarta o vence. Viven en memoria:
+// la confirmación debe llegar a la misma instancia antes de LISTA_PRECIOS_CARGA_MINUTOS
+// (por defecto 30).
+
+const VIGENCIA_MS = (parseInt(process.env.LISTA_PRECIOS_CARGA_MINUTOS, 10) || 30) * 60 * 1000;
+
+const pendientes = new Map();
+
+function descartarVencidas(ahora = Date.now()) {
+    for (const [id, carga] of pendientes) {
+        if (carga.venceEn <= ahora) pendientes.delete(id);
+    }
+}
+
+/**
+ * @param {{preparada: object, contenido: Buffer, nombreArchivo: string, versionBase: number|null}} datos
+ * @returns {{id: string, venceEn: number}} La carga registrada.
+ */
+function registrarCarga(datos) {
+    descartarVencidas();
+    const carga = { ...datos, id: generarIdCarga(pendientes.keys()), venceEn: Date.now() + VIGENCIA_MS };
+    pendientes.set(normalizarIdCita(carga.id), carga);
+    return carga;
+}
+
+/**
+ * @returns {object|null} La carga pendiente, o null si no existe o ya venció.
+ */
+function obtenerCarga(id) {
+    descartarVencidas();
+    return pendientes.get(normalizarIdCita(id)) || null;
+}
+
+/**
+ * @returns {boolean} true si la carga existía.
+ */
+const descartarCarga = (id) => pendientes.delete(normalizarIdCita(id));
+
+module.exports = { registrarCarga, obtenerCarga, descartarCarga };
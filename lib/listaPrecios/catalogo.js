@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromesas = require('fs/promises');
+const path = require('path');
+const XLSX = require('xlsx');
+const { parseTireSpecification } = require('./llantas');
+const historial = require('./historial');
+const { crearIndice } = require('./busqueda');
+
+// --- Catálogo de la Lista de Precios ---
+// Se lee de "LISTA DE PRECIOS 25062025.xlsx" en la raíz (o LISTA_PRECIOS_ARCHIVO), primera hoja.
+// Columnas: ID Producto, Producto, Costo Uni Unitario, Exit. (existencia), COSTO CON IVA, PRECIO FINAL.
+//
+// Cada carga produce una versión inmutable que se valida completa antes de activarse; si el
+// archivo es inválido la versión activa no cambia. Las solicitudes toman la versión activa
+// una sola vez, así que una recarga nunca les muestra una lista a medias. Se conservan las
+// últimas LISTA_PRECIOS_VERSIONES versiones (por defecto 5) para poder revertir. Los números
+// de versión los asigna el historial (historial.js), así que no se repiten entre reinicios.
+// Al arrancar solo se escribe el historial si el archivo no es la última versión registrada.
+
+const RUTA_LISTA = path.resolve(process.env.LISTA_PRECIOS_ARCHIVO || path.join(__dirname, '..', '..', 'LISTA DE PRECIOS 25062025.xlsx'));
+const MAX_VERSIONES = Math.max(1, parseInt(process.env.LISTA_PRECIOS_VERSIONES, 10) || 5);
+
+const COLUMNAS_REQUERIDAS = ['ID Producto', 'Producto', 'Costo Uni Unitario', 'Exit.', 'COSTO CON IVA', 'PRECIO FINAL'];
+const COLUMNAS_PRECIO = ['Costo Uni Unitario', 'COSTO CON IVA', 'PRECIO FINAL'];
+
+// Errores por fila que se incluyen en el mensaje; el resto solo se cuenta.
+const MAX_ERRORES_REPORTADOS = 10;
+
+// Más reciente al final; la activa puede ser cualquiera tras revertir.
+let versiones = [];
+let activa = null;
+let errorCarga = null;
+
+/**
+ * Precio entero (redondeado); los valores no numéricos se tratan como 0.
+ */
+function formatPrice(price) {
+    const numero = parseFloat(price);
+    return Number.isNaN(numero) ? 0 : Math.round(numero);
+}
+
+/**
+ * Copia del producto con las columnas de precio y costo redondeadas a enteros.
+ */
+function formatProductPrices(product) {
+    const formateado = { ...product };
+    COLUMNAS_PRECIO.forEach(columna => { formateado[columna] = formatPrice(product[columna]); });
+    return formateado;
+}
+
+const huellaDe = (contenido) => crypto.createHash('sha256').update(contenido).digest('hex').slice(0, 12);
+
+const esNumero = (valor) => valor !== '' && valor !== null && valor !== undefined && !Number.isNaN(Number(valor));
+
+/**
+ * Lee la primera hoja de un libro y la convierte en productos, o lanza un error que
+ * describe todas las columnas o filas inválidas.
+ * @param {Buffer} contenido - El archivo .xlsx.
+ * @returns {Array<object>} Productos con precios formateados y `specs` de llanta.
+ */
+function leerProductos(contenido) {
+    let libro;
+    try {
+        libro = XLSX.read(contenido, { type: 'buffer' });
+    } catch (error) {
+        throw new Error(`El archivo no es un libro de Excel válido (${error.message}).`);
+    }
+    const hoja = libro.SheetNames.length > 0 ? libro.Sheets[libro.SheetNames[0]] : null;
+    if (!hoja) throw new Error('El libro no tiene hojas.');
+
+    const [encabezados = []] = XLSX.utils.sheet_to_json(hoja, { header: 1, range: 0 });
+    const columnas = encabezados.map(e => String(e).trim());
+    const faltantes = COLUMNAS_REQUERIDAS.filter(c => !columnas.includes(c));
+    if (faltantes.length > 0) throw new Error(`Faltan columnas: ${faltantes.join(', ')}.`);
+
+    const filas = XLSX.utils.sheet_to_json(hoja);
+    if (filas.length === 0) throw new Error('La hoja no tiene productos.');
+
+    const errores = [];
+    const vistos = new Set();
+    filas.forEach((fila, i) => {
+        // +2: encabezado y numeración desde 1, como se ve en Excel.
+        const renglon = i + 2;
+        const id = String(fila['ID Producto'] ?? '').trim();
+        if (!id) errores.push(`fila ${renglon}: falta "ID Producto"`);
+        else if (vistos.has(id.toUpperCase())) errores.push(`fila ${renglon}: "ID Producto" ${id} está repetido`);
+        vistos.add(id.toUpperCase());
+        if (!String(fila['Producto'] ?? '').trim()) errores.push(`fila ${renglon}: falta "Producto"`);
+        COLUMNAS_PRECIO.concat('Exit.').forEach(columna => {
+            if (!esNumero(fila[columna])) errores.push(`fila ${renglon}: "${columna}" debe ser numérico`);
+        });
+    });
+    if (errores.length > 0) {
+        const resto = errores.length > MAX_ERRORES_REPORTADOS ? `\n- ... y ${errores.length - MAX_ERRORES_REPORTADOS} más` : '';
+        throw new Error(`La lista tiene ${errores.length} errores:\n- ${errores.slice(0, MAX_ERRORES_REPORTADOS).join('\n- ')}${resto}`);
+    }
+
+    return filas.map(fila => Object.freeze(formatProductPrices({
+        ...fila,
+        'ID Producto': String(fila['ID Producto']).trim(),
+        'Producto': String(fila['Producto']).trim(),
+        'Exit.': Number(fila['Exit.']),
+        specs: parseTireSpecification(fila['Producto'])
+    })));
+}
+
+/**
+ * Valida un .xlsx y lo deja listo para activarse; aún no tiene número de versión.
+ * @param {Buffer} contenido
+ * @param {string} origen - De dónde salió (nombre del archivo).
+ * @returns {{huella: string, origen: string, productos: Array<object>, porId: Map<string, object>, indice: object}}
+ * @throws {Error} Si el archivo es inválido.
+ */
+function prepararVersion(contenido, origen) {
+    const productos = Object.freeze(leerProductos(contenido));
+    return Object.freeze({
+        huella: huellaDe(contenido),
+        origen,
+        productos,
+        porId: new Map(productos.map(p => [p['ID Producto'].toUpperCase(), p])),
+        indice: crearIndice(productos)
+    });
+}
+
+/**
+ * Numera una versión preparada con el siguiente número del historial y la registra.
+ * Si es el mismo archivo que la última versión registrada (p. ej. al reiniciar) se
+ * reutiliza ese número en lugar de crear uno nuevo.
+ */
+function numerarVersion(preparada) {
+    const ultima = historial.ultimaVersion();
+    if (ultima && ultima.huella === preparada.huella) {
+        return versiones.find(v => v.version === ultima.version)
+            || Object.freeze({ version: ultima.version, cargadoEn: ultima.cargadoEn, ...preparada });
+    }
+    const numerada = Object.freeze({ version: (ultima ? ultima.version : 0) + 1, cargadoEn: new Date().toISOString(), ...preparada });
+    historial.registrarVersion(numerada);
+    return numerada;
+}
+
+/**
+ * Activa una versión conservada o numera y activa una preparada.
+ * @returns {object} La versión activa.
+ */
+function activarVersion(version) {
+    const numerada = version.version ? version : numerarVersion(version);
+    versiones = [...versiones.filter(v => v !== numerada), numerada].slice(-MAX_VERSIONES);
+    activa = numerada;
+    errorCarga = null;
+    return numerada;
+}
+
+const resumenVersion = (v) => v && {
+    version: v.version,
+    huella: v.huella,
+    origen: v.origen,
+    cargadoEn: v.cargadoEn,
+    totalRecords: v.productos.length,
+    activa: v === activa
+};
+
+/**
+ * Lee de nuevo el Excel y activa la nueva versión. Si el archivo no cambió se
+ * conserva la versión activa.
+ * @param {string} [ruta]
+ * @returns {{cambio: boolean, version: object}}
+ * @throws {Error} Si el archivo no se puede leer o es inválido; la versión activa no cambia.
+ */
+function recargarCatalogo(ruta = RUTA_LISTA) {
+    try {
+        const contenido = fs.readFileSync(ruta);
+        if (activa && activa.huella === huellaDe(contenido)) {
+            errorCarga = null;
+            return { cambio: false, version: resumenVersion(activa) };
+        }
+        const version = activarVersion(prepararVersion(contenido, path.basename(ruta)));
+        return { cambio: true, version: resumenVersion(version) };
+    } catch (error) {
+        errorCarga = error.message;
+        throw error;
+    }
+}
+
+/**
+ * Activa una versión preparada a partir de un archivo subido y reemplaza el Excel en
+ * disco para que las recargas y reinicios la conserven. En hostings de solo lectura el
+ * archivo no se puede escribir: la versión se activa igual y dura hasta el reinicio.
+ * @param {object} preparada - Resultado de prepararVersion.
+ * @param {Buffer} contenido - El .xlsx original.
+ * @returns {Promise<{version: object, persistida: boolean}>}
+ */
+async function publicarVersion(preparada, contenido) {
+    let persistida = true;
+    try {
+        const temporal = `${RUTA_LISTA}.${process.pid}.tmp`;
+        await fsPromesas.writeFile(temporal, contenido);
+        await fsPromesas.rename(temporal, RUTA_LISTA);
+    } catch (error) {
+        console.error(`No se pudo guardar la lista de precios en ${RUTA_LISTA}:`, error.message);
+        persistida = false;
+    }
+    return { version: resumenVersion(activarVersion(preparada)), persistida };
+}
+
+/**
+ * Vuelve a activar una versión conservada.
+ * @returns {object|null} La versión activada, o null si ya no se conserva.
+ */
+function revertirCatalogo(numeroVersion) {
+    const version = versiones.find(v => v.version === numeroVersion);
+    if (!version) return null;
+    return resumenVersion(activarVersion(version));
+}
+
+try {
+    recargarCatalogo();
+} catch (error) {
+    console.error(`No se pudo cargar la lista de precios ${RUTA_LISTA}:`, error.message);
+}
+
+/**
+ * Productos de la versión activa; `specs` es la medida si el producto es una llanta.
+ * @returns {Array<object>}
+ */
+const listarProductos = () => (activa ? activa.productos : []);
+
+/**
+ * @param {string} id - ID del producto, sin distinguir mayúsculas.
+ * @returns {object|null}
+ */
+const buscarProductoPorId = (id) => (activa && activa.porId.get(String(id || '').trim().toUpperCase())) || null;
+
+const listarVersiones = () => versiones.map(resumenVersion).reverse();
+
+/**
+ * Versión activa completa (con `productos`), o null si no hay ninguna.
+ */
+const versionActiva = () => activa;
+
+const estadoCatalogo = () => ({
+    dataLoaded: Boolean(activa),
+    totalRecords: listarProductos().length,
+    tireCount: listarProductos().filter(p => p.specs).length,
+    version: activa ? activa.version : null,
+    loadedAt: activa ? activa.cargadoEn : null,
+    versionsKept: versiones.length,
+    error: errorCarga
+});
+
+module.exports = {
+    COLUMNAS_REQUERIDAS,
+    formatPrice,
+    formatProductPrices,
+    prepararVersion,
+    recargarCatalogo,
+    publicarVersion,
+    revertirCatalogo,
+    versionActiva,
+    listarProductos,
+    buscarProductoPorId,
+    listarVersiones,
+    estadoCatalogo
+};
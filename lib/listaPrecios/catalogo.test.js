@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// El catálogo carga su archivo al importarse: se apunta a un directorio temporal antes.
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogo-'));
+const RUTA_LISTA = path.join(directorio, 'lista.xlsx');
+process.env.LISTA_PRECIOS_ARCHIVO = RUTA_LISTA;
+process.env.HISTORIAL_PRECIOS_ARCHIVO = path.join(directorio, 'historial.json');
+
+const producto = (id, nombre, precio, existencia = 4) => ({
+    'ID Producto': id,
+    'Producto': nombre,
+    'Costo Uni Unitario': precio * 0.6,
+    'Exit.': existencia,
+    'COSTO CON IVA': precio * 0.7,
+    'PRECIO FINAL': precio
+});
+
+const libro = (filas) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(filas), 'Lista');
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const LISTA_INICIAL = [
+    producto('LL-1', '155/70R13 COMPASAL BLAZER HP 75T', 1000),
+    producto('LL-2', '185/65R15 MIRAGE MR-162 88H', 1500)
+];
+const CONTENIDO_INICIAL = libro(LISTA_INICIAL);
+fs.writeFileSync(RUTA_LISTA, CONTENIDO_INICIAL);
+
+const catalogo = require('./catalogo');
+
+const leerHistorial = () => {
+    try {
+        return JSON.parse(fs.readFileSync(process.env.HISTORIAL_PRECIOS_ARCHIVO, 'utf8'));
+    } catch (error) {
+        return [];
+    }
+};
+
+// El historial se escribe en segundo plano: espera hasta que tenga `version` registrada.
+async function esperarHistorial(version) {
+    for (let i = 0; i < 50 && !leerHistorial().some(r => r.version === version); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return leerHistorial();
+}
+
+// Simula un reinicio: una instancia nueva del módulo que lee el historial del disco.
+const reiniciar = () => {
+    let instancia;
+    jest.isolateModules(() => { instancia = require('./catalogo'); });
+    return instancia;
+};
+
+// Última versión numerada por esta instancia, aunque la activa sea una anterior.
+const ultimaNumerada = () => Math.max(...catalogo.listarVersiones().map(v => v.version));
+
+afterAll(async () => {
+    await esperarHistorial(ultimaNumerada());
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+describe('carga inicial', () => {
+    test('activa la lista del archivo con precios redondeados y medidas', () => {
+        const estado = catalogo.estadoCatalogo();
+        expect(estado.dataLoaded).toBe(true);
+        expect(estado.totalRecords).toBe(2);
+        const llanta = catalogo.buscarProductoPorId('ll-1');
+        expect(llanta['COSTO CON IVA']).toBe(700);
+        expect(llanta.specs).toMatchObject({ width: 155, aspect_ratio: 70, rim_diameter: 13 });
+    });
+
+    test('registra en el historial la versión leída al arrancar', async () => {
+        const registros = await esperarHistorial(1);
+        expect(registros.map(r => r.version)).toEqual([1]);
+        expect(registros[0].productos).toHaveLength(2);
+    });
+});
+
+describe('recargarCatalogo rechaza archivos inválidos', () => {
+    // Mensaje con que se rechaza el archivo, o undefined si se aceptó.
+    const recargarCon = (contenido) => {
+        fs.writeFileSync(RUTA_LISTA, contenido);
+        try {
+            catalogo.recargarCatalogo();
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    test('sin columnas requeridas', () => {
+        const filas = [{ 'ID Producto': 'A', 'Producto': 'X', 'PRECIO FINAL': 10 }];
+        expect(recargarCon(libro(filas))).toMatch(/Faltan columnas: Costo Uni Unitario, Exit\., COSTO CON IVA/);
+    });
+
+    test('filas sin ID, con ID repetido, sin nombre o con valores no numéricos', () => {
+        const filas = [
+            producto('A', 'Uno', 100),
+            producto('', 'Sin ID', 100),
+            producto('a', 'Repetido', 100),
+            producto('B', '', 100),
+            { ...producto('C', 'Precio texto', 100), 'PRECIO FINAL': 'cien' },
+            { ...producto('D', 'Sin existencia', 100), 'Exit.': '' }
+        ];
+        const mensaje = recargarCon(libro(filas));
+        expect(mensaje).toMatch(/^La lista tiene 5 errores:/);
+        expect(mensaje).toContain('fila 3: falta "ID Producto"');
+        expect(mensaje).toContain('fila 4: "ID Producto" a está repetido');
+        expect(mensaje).toContain('fila 5: falta "Producto"');
+        expect(mensaje).toContain('fila 6: "PRECIO FINAL" debe ser numérico');
+        expect(mensaje).toContain('fila 7: "Exit." debe ser numérico');
+    });
+
+    test('una hoja sin productos', () => {
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([catalogo.COLUMNAS_REQUERIDAS]), 'Lista');
+        expect(recargarCon(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }))).toBe('La hoja no tiene productos.');
+    });
+});
+
+describe('recarga y reversión', () => {
+    const versionInicial = catalogo.estadoCatalogo().version;
+
+    test('un archivo inválido no cambia la versión activa', () => {
+        fs.writeFileSync(RUTA_LISTA, libro([producto('', 'Sin ID', 100)]));
+        expect(() => catalogo.recargarCatalogo()).toThrow(/falta "ID Producto"/);
+        const estado = catalogo.estadoCatalogo();
+        expect(estado.version).toBe(versionInicial);
+        expect(estado.totalRecords).toBe(2);
+        expect(estado.error).toMatch(/falta "ID Producto"/);
+    });
+
+    test('el mismo archivo conserva la versión y limpia el error', () => {
+        fs.writeFileSync(RUTA_LISTA, CONTENIDO_INICIAL);
+        const { cambio, version } = catalogo.recargarCatalogo();
+        expect(cambio).toBe(false);
+        expect(version.version).toBe(versionInicial);
+        expect(catalogo.estadoCatalogo().error).toBeNull();
+    });
+
+    test('revertir reactiva la versión anterior completa', () => {
+        const anterior = catalogo.estadoCatalogo().version;
+        fs.writeFileSync(RUTA_LISTA, libro([producto('LL-1', '155/70R13 COMPASAL BLAZER HP 75T', 1200), producto('LL-3', '175/70R14 NUEVA', 900)]));
+        const { cambio, version } = catalogo.recargarCatalogo();
+        expect(cambio).toBe(true);
+        expect(version.version).toBe(anterior + 1);
+        expect(catalogo.buscarProductoPorId('LL-1')['PRECIO FINAL']).toBe(1200);
+        expect(catalogo.buscarProductoPorId('LL-2')).toBeNull();
+
+        const revertida = catalogo.revertirCatalogo(anterior);
+        expect(revertida).toMatchObject({ version: anterior, activa: true });
+        expect(catalogo.buscarProductoPorId('LL-1')['PRECIO FINAL']).toBe(1000);
+        expect(catalogo.buscarProductoPorId('LL-2')).not.toBeNull();
+        expect(catalogo.buscarProductoPorId('LL-3')).toBeNull();
+        expect(catalogo.listarVersiones().map(v => v.version)).toEqual(expect.arrayContaining([anterior, anterior + 1]));
+    });
+
+    test('revertir a una versión que no se conserva devuelve null', () => {
+        const activa = catalogo.estadoCatalogo().version;
+        expect(catalogo.revertirCatalogo(999)).toBeNull();
+        expect(catalogo.estadoCatalogo().version).toBe(activa);
+    });
+});
+
+describe('reinicios', () => {
+    test('el mismo archivo conserva su número y fecha sin escribir el historial', async () => {
+        const enDisco = await esperarHistorial(ultimaNumerada());
+        // Tras revertir, el archivo en disco sigue siendo la última versión registrada.
+        const ultima = enDisco[enDisco.length - 1];
+        const reiniciado = reiniciar().estadoCatalogo();
+        expect(reiniciado.version).toBe(ultima.version);
+        expect(reiniciado.loadedAt).toBe(ultima.cargadoEn);
+        expect(leerHistorial()).toEqual(enDisco);
+    });
+
+    test('un archivo distinto al arrancar se registra como versión nueva', async () => {
+        const ultima = leerHistorial().pop().version;
+        fs.writeFileSync(RUTA_LISTA, libro([producto('LL-1', '155/70R13 COMPASAL BLAZER HP 75T', 1300)]));
+        expect(reiniciar().estadoCatalogo().version).toBe(ultima + 1);
+        const registros = await esperarHistorial(ultima + 1);
+        const nueva = registros.find(r => r.version === ultima + 1);
+
+        const deNuevo = reiniciar().estadoCatalogo();
+        expect(deNuevo.version).toBe(ultima + 1);
+        expect(deNuevo.loadedAt).toBe(nueva.cargadoEn);
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const fsPromesas = require('fs/promises');
+const path = require('path');
+const { conBloqueo } = require('../bloqueo');
+const { CAMPOS_COMPARADOS, compararProductos } = require('./cambios');
+
+// --- Historial de la Lista de Precios ---
+// Cada versión que se activa por primera vez queda registrada con los precios, costos y
+// existencias de todos sus productos en HISTORIAL_PRECIOS_ARCHIVO (por defecto
+// data/historial-precios.json). A diferencia de las versiones que se conservan para
+// revertir, el historial no tiene límite y sobrevive a los reinicios. Cada versión nueva se
+// escribe en cuanto se numera, también la que se lee al arrancar, para que su número no
+// cambie de significado al reiniciar. Si el archivo no se puede escribir (hosting de solo
+// lectura) el historial dura lo que dure el proceso.
+
+const RUTA_HISTORIAL = path.resolve(process.env.HISTORIAL_PRECIOS_ARCHIVO || path.join(__dirname, '..', '..', 'data', 'historial-precios.json'));
+
+const COLUMNAS_GUARDADAS = ['ID Producto', ...CAMPOS_COMPARADOS];
+
+function leerHistorial() {
+    try {
+        const registros = JSON.parse(fs.readFileSync(RUTA_HISTORIAL, 'utf8'));
+        return Array.isArray(registros) ? registros : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`No se pudo leer el historial de precios ${RUTA_HISTORIAL}:`, error.message);
+        return [];
+    }
+}
+
+// Ordenado por versión; se lee una vez al iniciar y después se mantiene en memoria.
+const registros = leerHistorial();
+
+async function escribirHistorial() {
+    await fsPromesas.mkdir(path.dirname(RUTA_HISTORIAL), { recursive: true });
+    const temporal = `${RUTA_HISTORIAL}.${process.pid}.tmp`;
+    await fsPromesas.writeFile(temporal, JSON.stringify(registros));
+    await fsPromesas.rename(temporal, RUTA_HISTORIAL);
+}
+
+// Los errores de escritura solo se registran en el log; el historial en memoria sigue válido.
+const guardarHistorial = () => conBloqueo('historial-precios', escribirHistorial)
+    .catch(error => console.error(`No se pudo guardar el historial de precios ${RUTA_HISTORIAL}:`, error.message));
+
+/**
+ * Última versión registrada, o null si el historial está vacío.
+ * @returns {{version: number, huella: string, cargadoEn: string}|null}
+ */
+const ultimaVersion = () => registros[registros.length - 1] || null;
+
+/**
+ * Registra una versión recién numerada. Queda disponible de inmediato; la escritura en
+ * disco se hace después y sus errores solo se registran en el log.
+ * @param {{version: number, huella: string, origen: string, cargadoEn: string, productos: Array<object>}} version
+ */
+function registrarVersion({ version, huella, origen, cargadoEn, productos }) {
+    registros.push({
+        version,
+        huella,
+        origen,
+        cargadoEn,
+        productos: productos.map(p => Object.fromEntries(COLUMNAS_GUARDADAS.map(c => [c, p[c]])))
+    });
+    guardarHistorial();
+}
+
+/**
+ * @returns {object|null} La versión registrada con sus productos, o null si no existe.
+ */
+const obtenerVersion = (numero) => registros.find(r => r.version === numero) || null;
+
+/**
+ * Versión registrada inmediatamente antes de `numero`, o null si es la primera.
+ */
+function versionAnterior(numero) {
+    const anteriores = registros.filter(r => r.version < numero);
+    return anteriores[anteriores.length - 1] || null;
+}
+
+const listarVersionesRegistradas = () => registros.map(({ version, huella, origen, cargadoEn, productos }) => ({
+    version, huella, origen, cargadoEn, totalRecords: productos.length
+}));
+
+/**
+ * Línea de tiempo de un producto: solo las versiones en que apareció, cambió o
+ * desapareció de la lista.
+ * @param {string} id - ID del producto, sin distinguir mayúsculas.
+ * @returns {Array<{version: number, cargadoEn: string, evento: 'added'|'changed'|'removed', producto: object, cambios: object}>|null}
+ *   null si el producto nunca estuvo en la lista. En 'removed', `producto` es el último conocido.
+ */
+function lineaDeTiempo(id) {
+    const buscado = String(id || '').trim().toUpperCase();
+    const eventos = [];
+    let anterior = null;
+    for (const registro of registros) {
+        const actual = registro.productos.find(p => String(p['ID Producto']).toUpperCase() === buscado) || null;
+        const base = { version: registro.version, cargadoEn: registro.cargadoEn };
+        if (actual && !anterior) {
+            eventos.push({ ...base, evento: 'added', producto: actual, cambios: {} });
+        } else if (!actual && anterior) {
+            eventos.push({ ...base, evento: 'removed', producto: anterior, cambios: {} });
+        } else if (actual && anterior) {
+            const [modificado] = compararProductos([anterior], [actual]).modificados;
+            if (modificado) eventos.push({ ...base, evento: 'changed', producto: actual, cambios: modificado.cambios });
+        }
+        anterior = actual;
+    }
+    return eventos.length > 0 ? eventos : null;
+}
+
+module.exports = { ultimaVersion, registrarVersion, obtenerVersion, versionAnterior, listarVersionesRegistradas, lineaDeTiempo };
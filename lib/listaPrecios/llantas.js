@@ -0,0 +1,75 @@
+// --- Especificaciones de Llantas ---
+// Interpreta la medida al inicio del nombre del producto. Formatos admitidos:
+//   métrico  "185/65R15", "185/60 R15", "185 65 15", "255 40 ZR18", "205 70 15 C", "245 75 17-10C"
+//   sin perfil "165R14", "195 R15C", "205 R16C-8C" y camión "1100 R22" (11.00 pulgadas)
+
+const PATRON_METRICO = /^(\d{3})\s*[/\s]\s*(\d{2})\s*-?\s*Z?R?\s*(\d{2})(?!\d)/i;
+const PATRON_SIN_PERFIL = /^(\d{3,4})\s*Z?R\s*(\d{2})(?!\d)/i;
+
+// Las medidas de camión se escriben en centésimas de pulgada (1100 = 11.00").
+const ANCHO_MINIMO_CAMION = 600;
+
+const tipoPorAncho = (ancho) => ancho >= ANCHO_MINIMO_CAMION ? 'truck' : 'car';
+
+/**
+ * Extrae la medida de una llanta a partir del nombre del producto.
+ * @param {string} productName - p. ej. "155 70 13 75T MIRAGE MR-166 AUTO".
+ * @returns {{width: number, aspect_ratio: number|null, rim_diameter: number, type: 'car'|'truck', original: string}|null}
+ *   null si el nombre no empieza con una medida reconocible.
+ */
+function parseTireSpecification(productName) {
+    const original = String(productName || '').trim();
+
+    const metrico = original.match(PATRON_METRICO);
+    if (metrico) {
+        const width = Number(metrico[1]);
+        return { width, aspect_ratio: Number(metrico[2]), rim_diameter: Number(metrico[3]), type: tipoPorAncho(width), original };
+    }
+
+    const sinPerfil = original.match(PATRON_SIN_PERFIL);
+    if (sinPerfil) {
+        const width = Number(sinPerfil[1]);
+        return { width, aspect_ratio: null, rim_diameter: Number(sinPerfil[2]), type: tipoPorAncho(width), original };
+    }
+    return null;
+}
+
+/**
+ * Rin como número sin importar si se escribió "15" o "R15".
+ * @returns {number|null}
+ */
+const normalizarRin = (rin) => {
+    if (rin === undefined || rin === null || rin === '') return null;
+    const numero = parseInt(String(rin).replace(/^\s*Z?R/i, ''), 10);
+    return Number.isNaN(numero) ? null : numero;
+};
+
+// En búsquedas aproximadas se aceptan perfiles a ±5 del solicitado (65 → 60..70).
+const TOLERANCIA_PERFIL = 5;
+
+/**
+ * Indica si las especificaciones de un producto cumplen con una búsqueda. Sin
+ * `exactMatch` el perfil admite la tolerancia; el rin siempre debe coincidir.
+ * @param {object|null} specs - Resultado de parseTireSpecification.
+ * @param {{width: number, aspectRatio: number|null, diameter: number|null, type: string, exactMatch: boolean}} busqueda
+ */
+function cumpleBusqueda(specs, { width, aspectRatio, diameter, type, exactMatch }) {
+    if (!specs || specs.width !== width) return false;
+    if (type === 'truck' && specs.type !== 'truck') return false;
+    if (diameter !== null && specs.rim_diameter !== diameter) return false;
+    if (aspectRatio === null) return true;
+    if (specs.aspect_ratio === null) return false;
+    return exactMatch
+        ? specs.aspect_ratio === aspectRatio
+        : Math.abs(specs.aspect_ratio - aspectRatio) <= TOLERANCIA_PERFIL;
+}
+
+/**
+ * Medida en notación estándar, p. ej. "155/70R13" o "1100R22".
+ */
+function describirMedida({ width, aspectRatio, diameter }) {
+    const perfil = aspectRatio !== null ? `/${aspectRatio}` : '';
+    return `${width}${perfil}${diameter !== null ? `R${diameter}` : ''}`;
+}
+
+module.exports = { parseTireSpecification, normalizarRin, cumpleBusqueda, describirMedida, tipoPorAncho };
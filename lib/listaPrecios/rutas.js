@@ -0,0 +1,645 @@
+const express = require('express');
+const multer = require('multer');
+const { responder, celda } = require('../responder');
+const { requiereToken } = require('../autenticacion');
+const { validar, datosErrorValidacion, normalizarTexto } = require('../validacion');
+const catalogo = require('./catalogo');
+const cargas = require('./cargas');
+const historial = require('./historial');
+const { compararProductos, variacionPorcentual } = require('./cambios');
+const { buscarEnIndice, resaltar } = require('./busqueda');
+const { parseTireSpecification, normalizarRin, cumpleBusqueda, describirMedida, tipoPorAncho } = require('./llantas');
+
+// --- Rutas de la Lista de Precios (/api/price-list) ---
+// A diferencia de las citas, `markdown` lleva la tabla de resultados y `desc` el
+// resumen para el usuario, como documenta el README para los agentes.
+
+const router = express.Router();
+
+/**
+ * Respuesta con tabla y resumen separados. `raw.status` puede sobrescribirse (p. ej. 'healthy').
+ */
+const responderLista = (res, statusCode, { raw, markdown, desc }) => {
+    res.status(statusCode).json({
+        raw: { status: statusCode >= 400 ? 'error' : 'exito', ...raw },
+        markdown,
+        type: 'markdown',
+        desc
+    });
+};
+
+const precio = (producto) => producto['PRECIO FINAL'];
+const porPrecio = (a, b) => precio(a) - precio(b);
+
+/**
+ * Tabla markdown de productos. `marcar(texto, producto)` permite resaltar el ID y el nombre.
+ */
+const tablaProductos = (productos, encabezados = ['Product ID', 'Product Name', 'Stock', 'Price'], marcar = (texto) => texto) =>
+    `| ${encabezados.join(' | ')} |\n|${encabezados.map(e => `:${'-'.repeat(e.length - 1)}`).join('|')}|\n` +
+    productos.map(p => `| ${celda(marcar(p['ID Producto'], p))} | ${celda(marcar(p['Producto'], p))} | ${celda(p['Exit.'])} | $${precio(p)} |`).join('\n');
+
+// Las rutas que leen productos no tienen sentido sin catálogo; se registran después de este
+// guardia. Las de estado, versiones, cargas, historial e interpretación de medidas se
+// atienden siempre.
+const requiereCatalogo = (req, res, next) => {
+    const estado = catalogo.estadoCatalogo();
+    if (estado.dataLoaded) return next();
+    responder(res, 503, "Lista de Precios no Disponible", {
+        mensaje: `La lista de precios no está cargada${estado.error ? ` (${estado.error})` : ''}. Use POST /api/price-list/reload.`
+    });
+};
+
+router.get('/health', (req, res) => {
+    const estado = catalogo.estadoCatalogo();
+    const filas = [
+        ['Service Status', estado.dataLoaded ? 'Healthy' : 'Unhealthy'],
+        ['Data Loaded', estado.dataLoaded ? 'Success' : 'Failed'],
+        ['Product Count', estado.totalRecords],
+        ['Active Version', estado.version],
+        ['Loaded At', estado.loadedAt]
+    ];
+    if (estado.error) filas.push(['Last Reload Error', estado.error]);
+    responderLista(res, estado.dataLoaded ? 200 : 503, {
+        raw: {
+            status: estado.dataLoaded ? 'healthy' : 'unhealthy',
+            dataLoaded: estado.dataLoaded,
+            totalRecords: estado.totalRecords,
+            tireCount: estado.tireCount,
+            version: estado.version,
+            loadedAt: estado.loadedAt,
+            versionsKept: estado.versionsKept,
+            lastReloadError: estado.error,
+            timestamp: new Date().toISOString()
+        },
+        markdown: `| Status | Value |\n|:-------|:------|\n` + filas.map(([campo, valor]) => `| ${campo} | ${celda(valor)} |`).join('\n'),
+        desc: estado.dataLoaded
+            ? `✅ API service running normally\n📊 Loaded ${estado.totalRecords} product records (version ${estado.version}, ${estado.loadedAt})\n🚗 Contains ${estado.tireCount} tire products` +
+                (estado.error ? `\n⚠️ Last reload failed: ${estado.error}` : '')
+            : `❌ Price list not loaded${estado.error ? `: ${estado.error}` : ''}`
+    });
+});
+
+router.post('/reload', (req, res) => {
+    let resultado;
+    try {
+        resultado = catalogo.recargarCatalogo();
+    } catch (error) {
+        const estado = catalogo.estadoCatalogo();
+        return responder(res, 422, "Lista de Precios Inválida", {
+            mensaje: `No se recargó la lista de precios; ${estado.dataLoaded ? `sigue activa la versión ${estado.version}` : 'no hay una versión activa'}.\n\n${error.message}`,
+            activeVersion: estado.version
+        });
+    }
+    const { cambio, version } = resultado;
+    responderLista(res, 200, {
+        raw: { reloaded: cambio, version: version.version, totalRecords: version.totalRecords, loadedAt: version.cargadoEn },
+        markdown: `| Status | Value |\n|:-------|:------|\n| Reloaded | ${cambio ? 'Yes' : 'No (file unchanged)'} |\n| Active Version | ${version.version} |\n| Product Count | ${version.totalRecords} |`,
+        desc: cambio
+            ? `🔄 Price list reloaded: version ${version.version} with ${version.totalRecords} products`
+            : `ℹ️ Price list file unchanged; version ${version.version} stays active`
+    });
+});
+
+const tablaVersiones = (versiones) => `| Version | Loaded At | Source | Products | Active |\n|:--------|:----------|:-------|:---------|:-------|\n` +
+    versiones.map(v => `| ${v.version} | ${v.cargadoEn} | ${celda(v.origen)} | ${v.totalRecords} | ${v.activa ? '✅' : ''} |`).join('\n');
+
+router.get('/versions', (req, res) => {
+    const versiones = catalogo.listarVersiones();
+    responderLista(res, 200, {
+        raw: { versions: versiones },
+        markdown: versiones.length > 0 ? tablaVersiones(versiones) : 'No versions loaded.',
+        desc: `🗂️ ${versiones.length} price list versions kept for rollback`
+    });
+});
+
+const ESQUEMA_REVERTIR = {
+    version: { tipo: 'entero', requerido: true, min: 1 }
+};
+
+router.post('/rollback', requiereToken('ADMIN_TOKEN'), (req, res) => {
+    const { valores, errores } = validar(ESQUEMA_REVERTIR, req.body);
+    if (errores.length > 0) {
+        return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+    }
+    const version = catalogo.revertirCatalogo(valores.version);
+    if (!version) {
+        return responder(res, 404, "Versión no Encontrada", {
+            mensaje: `La versión ${valores.version} no se conserva. Versiones disponibles: ${catalogo.listarVersiones().map(v => v.version).join(', ') || 'ninguna'}.`
+        });
+    }
+    responderLista(res, 200, {
+        raw: { version: version.version, totalRecords: version.totalRecords, loadedAt: version.cargadoEn },
+        markdown: tablaVersiones(catalogo.listarVersiones()),
+        desc: `⏪ Price list rolled back to version ${version.version} (${version.totalRecords} products, loaded ${version.cargadoEn})`
+    });
+});
+
+// --- Carga de Listas por Archivo ---
+const MAX_MB_ARCHIVO = 5;
+const EXTENSIONES_EXCEL = /\.xlsx?$/i;
+// Productos por sección de un reporte de cambios en markdown; `raw` siempre los trae todos.
+const MAX_FILAS_REPORTE = 20;
+
+const subirExcel = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MB_ARCHIVO * 1024 * 1024, files: 1 },
+    fileFilter: (req, archivo, cb) => EXTENSIONES_EXCEL.test(archivo.originalname)
+        ? cb(null, true)
+        : cb(new Error(`El archivo "${archivo.originalname}" no es un Excel (.xlsx o .xls).`))
+}).single('file');
+
+const recibirArchivo = (req, res, next) => subirExcel(req, res, (error) => {
+    if (!error && req.file) return next();
+    const mensaje = !error
+        ? 'Adjunte el Excel en el campo "file" (multipart/form-data).'
+        : error.code === 'LIMIT_FILE_SIZE' ? `El archivo supera ${MAX_MB_ARCHIVO} MB.` : error.message;
+    responder(res, 400, "Archivo no Válido", { mensaje });
+});
+
+const resumenProducto = (p) => ({ id: p['ID Producto'], product: p['Producto'], price: precio(p), stock: p['Exit.'] });
+
+const recortar = (filas, total) => total > filas.length ? `${filas.join('\n')}\n\n_... y ${total - filas.length} más._` : filas.join('\n');
+
+// Nombres de los campos comparados en `raw`, como en los resultados de búsqueda.
+const CLAVES_CAMPO = {
+    'Producto': 'product',
+    'PRECIO FINAL': 'price',
+    'COSTO CON IVA': 'costWithVat',
+    'Costo Uni Unitario': 'unitCost',
+    'Exit.': 'stock'
+};
+const CAMPOS_MONEDA = ['PRECIO FINAL', 'COSTO CON IVA', 'Costo Uni Unitario'];
+
+const valorCampo = (campo, valor) => CAMPOS_MONEDA.includes(campo) ? `$${valor}` : valor;
+
+const cambiosEnIngles = (cambios) => Object.fromEntries(Object.entries(cambios)
+    .map(([campo, { antes, despues }]) => [CLAVES_CAMPO[campo], { before: antes, after: despues }]));
+
+/**
+ * Reporte de cambios entre dos listas: productos nuevos, eliminados, con cambio de precio
+ * y con otros cambios (costo, existencia o nombre). Se usa en la vista previa de una
+ * carga y en el changelog entre versiones.
+ */
+function reporteCambios(anteriores, nuevos) {
+    const { agregados, eliminados, modificados } = compararProductos(anteriores, nuevos);
+    const repreciados = modificados.filter(m => m.cambios['PRECIO FINAL']).map(m => ({
+        id: m.id,
+        product: m.producto,
+        before: m.cambios['PRECIO FINAL'].antes,
+        after: m.cambios['PRECIO FINAL'].despues,
+        changePercent: variacionPorcentual(m.cambios['PRECIO FINAL'].antes, m.cambios['PRECIO FINAL'].despues)
+    }));
+    const otros = modificados.filter(m => !m.cambios['PRECIO FINAL']);
+    const resumen = {
+        totalRecords: nuevos.length,
+        added: agregados.length,
+        removed: eliminados.length,
+        repriced: repreciados.length,
+        otherChanges: otros.length
+    };
+
+    const secciones = [];
+    const tabla = (titulo, encabezado, filas) => {
+        if (filas.length > 0) secciones.push(`**${titulo} (${filas.length})**\n\n${encabezado}\n${recortar(filas.slice(0, MAX_FILAS_REPORTE), filas.length)}`);
+    };
+    tabla('Added', '| Product ID | Product Name | Price |\n|:-----------|:-------------|:------|',
+        agregados.map(p => `| ${celda(p['ID Producto'])} | ${celda(p['Producto'])} | $${precio(p)} |`));
+    tabla('Removed', '| Product ID | Product Name | Price |\n|:-----------|:-------------|:------|',
+        eliminados.map(p => `| ${celda(p['ID Producto'])} | ${celda(p['Producto'])} | $${precio(p)} |`));
+    tabla('Repriced', '| Product ID | Product Name | Before | After | Change |\n|:-----------|:-------------|:-------|:------|:-------|',
+        repreciados.map(r => `| ${celda(r.id)} | ${celda(r.product)} | $${r.before} | $${r.after} | ${r.changePercent === null ? '-' : `${r.changePercent > 0 ? '+' : ''}${r.changePercent}%`} |`));
+    tabla('Other Changes', '| Product ID | Product Name | Changes |\n|:-----------|:-------------|:--------|',
+        otros.map(m => `| ${celda(m.id)} | ${celda(m.producto)} | ${celda(Object.entries(m.cambios)
+            .map(([campo, { antes, despues }]) => `${campo}: ${valorCampo(campo, antes)} → ${valorCampo(campo, despues)}`).join('; '))} |`));
+
+    return {
+        resumen,
+        detalle: {
+            added: agregados.map(resumenProducto),
+            removed: eliminados.map(resumenProducto),
+            repriced: repreciados,
+            otherChanges: otros.map(m => ({ id: m.id, product: m.producto, changes: cambiosEnIngles(m.cambios) }))
+        },
+        markdown: secciones.length > 0 ? secciones.join('\n\n') : 'No product changes.'
+    };
+}
+
+router.post('/upload', requiereToken('ADMIN_TOKEN'), recibirArchivo, (req, res) => {
+    const { buffer: contenido, originalname: nombreArchivo } = req.file;
+    let preparada;
+    try {
+        preparada = catalogo.prepararVersion(contenido, nombreArchivo);
+    } catch (error) {
+        return responder(res, 422, "Lista de Precios Inválida", {
+            mensaje: `El archivo "${nombreArchivo}" no se puede usar.\n\n${error.message}`,
+            requiredColumns: catalogo.COLUMNAS_REQUERIDAS
+        });
+    }
+
+    const activa = catalogo.versionActiva();
+    if (activa && activa.huella === preparada.huella) {
+        return responderLista(res, 200, {
+            raw: { uploadId: null, identicalTo: activa.version },
+            markdown: 'No product changes compared to the active version.',
+            desc: `ℹ️ "${nombreArchivo}" is identical to the active version ${activa.version}; nothing to confirm.`
+        });
+    }
+
+    const { resumen, detalle, markdown } = reporteCambios(activa ? activa.productos : [], preparada.productos);
+    const carga = cargas.registrarCarga({ preparada, contenido, nombreArchivo, versionBase: activa ? activa.version : null });
+    responderLista(res, 200, {
+        raw: {
+            uploadId: carga.id,
+            expiresAt: new Date(carga.venceEn).toISOString(),
+            fileName: nombreArchivo,
+            baseVersion: carga.versionBase,
+            summary: resumen,
+            ...detalle
+        },
+        markdown,
+        desc: `📄 "${nombreArchivo}" is valid: ${resumen.totalRecords} products\n` +
+            `• Added: ${resumen.added}\n• Removed: ${resumen.removed}\n• Repriced: ${resumen.repriced}\n• Other changes: ${resumen.otherChanges}\n\n` +
+            `Nothing changes until you confirm with POST /api/price-list/upload/${carga.id}/confirm ` +
+            `(or discard with DELETE /api/price-list/upload/${carga.id}) before ${new Date(carga.venceEn).toISOString()}.`
+    });
+});
+
+router.post('/upload/:idCarga/confirm', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const carga = cargas.obtenerCarga(req.params.idCarga);
+        if (!carga) {
+            return responder(res, 404, "Carga no Encontrada", {
+                mensaje: `La carga ${req.params.idCarga} no existe, ya se confirmó o venció. Suba el archivo de nuevo.`
+            });
+        }
+        const activa = catalogo.versionActiva();
+        if ((activa ? activa.version : null) !== carga.versionBase) {
+            cargas.descartarCarga(carga.id);
+            return responder(res, 409, "Vista Previa Desactualizada", {
+                mensaje: `La lista activa cambió (versión ${activa ? activa.version : 'ninguna'}) después de la vista previa, que comparaba contra la versión ${carga.versionBase ?? 'ninguna'}. Suba el archivo de nuevo para revisar los cambios.`
+            });
+        }
+
+        cargas.descartarCarga(carga.id);
+        const { version, persistida } = await catalogo.publicarVersion(carga.preparada, carga.contenido);
+        responderLista(res, 200, {
+            raw: { version: version.version, totalRecords: version.totalRecords, loadedAt: version.cargadoEn, fileName: carga.nombreArchivo, persisted: persistida },
+            markdown: `| Status | Value |\n|:-------|:------|\n| Active Version | ${version.version} |\n| Product Count | ${version.totalRecords} |\n| Saved to Disk | ${persistida ? 'Yes' : 'No'} |`,
+            desc: `✅ "${carga.nombreArchivo}" is now active as version ${version.version} (${version.totalRecords} products)` +
+                (persistida ? '' : '\n⚠️ The file could not be saved to disk; this version lasts until the server restarts.')
+        });
+    } catch (error) {
+        console.error('Error al confirmar la carga de la lista de precios:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+router.delete('/upload/:idCarga', requiereToken('ADMIN_TOKEN'), (req, res) => {
+    if (!cargas.descartarCarga(req.params.idCarga)) {
+        return responder(res, 404, "Carga no Encontrada", {
+            mensaje: `La carga ${req.params.idCarga} no existe, ya se confirmó o venció.`
+        });
+    }
+    responder(res, 200, "Carga Descartada", {
+        mensaje: `La carga ${req.params.idCarga} se descartó; la lista activa no cambió.`
+    });
+});
+
+// Solo interpreta el texto recibido, así que no necesita catálogo.
+router.post('/tire-parse', (req, res) => {
+    const nombre = (req.body || {}).product_name ?? (req.body || {}).productName;
+    if (typeof nombre !== 'string' || nombre.trim() === '') {
+        return responder(res, 400, "Error de Validación", datosErrorValidacion([{ campo: 'product_name', mensaje: 'es obligatorio' }]));
+    }
+    const specs = parseTireSpecification(nombre);
+    responderLista(res, 200, {
+        raw: { productName: nombre, isTire: specs !== null, parsed_specs: specs },
+        markdown: specs
+            ? `| Field | Value |\n|:------|:------|\n| Width | ${specs.width} |\n| Aspect Ratio | ${specs.aspect_ratio ?? '-'} |\n| Rim Diameter | ${specs.rim_diameter} |\n| Type | ${specs.type} |`
+            : 'No tire specification found.',
+        desc: specs
+            ? `✅ "${nombre}" → ${describirMedida({ width: specs.width, aspectRatio: specs.aspect_ratio, diameter: specs.rim_diameter })} (${specs.type})`
+            : `⚠️ "${nombre}" does not start with a recognizable tire size.`
+    });
+});
+
+// --- Historial de Precios ---
+// Se lee del historial, no del catálogo activo, así que sigue disponible si la lista no cargó.
+router.get('/product/:id/history', (req, res) => {
+    const eventos = historial.lineaDeTiempo(req.params.id);
+    if (!eventos) {
+        return responder(res, 404, "Producto no Encontrado", {
+            mensaje: `El producto "${req.params.id}" no aparece en ninguna versión registrada de la lista de precios.`
+        });
+    }
+    const ultimo = eventos[eventos.length - 1].producto;
+    const linea = eventos.map(e => ({
+        version: e.version,
+        loadedAt: e.cargadoEn,
+        event: e.evento,
+        price: e.producto['PRECIO FINAL'],
+        unitCost: e.producto['Costo Uni Unitario'],
+        costWithVat: e.producto['COSTO CON IVA'],
+        stock: e.producto['Exit.'],
+        changes: cambiosEnIngles(e.cambios)
+    }));
+    const precios = linea.filter(e => e.event !== 'removed').map(e => e.price);
+    responderLista(res, 200, {
+        raw: { productId: ultimo['ID Producto'], product: ultimo['Producto'], timeline: linea },
+        markdown: `| Version | Loaded At | Event | Price | Unit Cost | Cost with VAT | Stock |\n|:--------|:----------|:------|:------|:----------|:--------------|:------|\n` +
+            linea.map(e => `| ${e.version} | ${e.loadedAt} | ${e.event} | $${e.price} | $${e.unitCost} | $${e.costWithVat} | ${e.stock} |`).join('\n'),
+        desc: `📈 Price history for ${ultimo['Producto']} (${ultimo['ID Producto']})\n` +
+            `• ${linea.length} recorded ${linea.length === 1 ? 'event' : 'events'} since version ${linea[0].version}\n` +
+            `• Price range: $${Math.min(...precios)} - $${Math.max(...precios)}\n` +
+            (linea[linea.length - 1].event === 'removed'
+                ? `• Removed from the list in version ${linea[linea.length - 1].version}`
+                : `• Current price: $${linea[linea.length - 1].price}`)
+    });
+});
+
+const ESQUEMA_CHANGELOG = {
+    from: { tipo: 'entero', min: 1 },
+    to: { tipo: 'entero', min: 1 }
+};
+
+router.get('/changelog', (req, res) => {
+    const { valores, errores } = validar(ESQUEMA_CHANGELOG, req.query);
+    if (errores.length > 0) {
+        return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+    }
+    // Por defecto: la versión activa (o la última registrada si no hay) contra la registrada
+    // inmediatamente antes.
+    const porDefecto = catalogo.estadoCatalogo().version ?? (historial.ultimaVersion() || {}).version;
+    const hasta = historial.obtenerVersion(valores.to ?? porDefecto);
+    const desde = valores.from !== null ? historial.obtenerVersion(valores.from) : hasta && historial.versionAnterior(hasta.version);
+    const disponibles = historial.listarVersionesRegistradas().map(v => v.version).join(', ') || 'ninguna';
+    if (!hasta || (valores.from !== null && !desde)) {
+        return responder(res, 404, "Versión no Encontrada", {
+            mensaje: `La versión ${!hasta ? (valores.to ?? porDefecto ?? 'activa') : valores.from} no está registrada. Versiones registradas: ${disponibles}.`
+        });
+    }
+    if (!desde) {
+        return responder(res, 400, "Sin Versión Anterior", {
+            mensaje: `La versión ${hasta.version} es la primera registrada; no hay contra qué compararla.`
+        });
+    }
+
+    const { resumen, detalle, markdown } = reporteCambios(desde.productos, hasta.productos);
+    responderLista(res, 200, {
+        raw: {
+            from: { version: desde.version, loadedAt: desde.cargadoEn, source: desde.origen },
+            to: { version: hasta.version, loadedAt: hasta.cargadoEn, source: hasta.origen },
+            summary: resumen,
+            ...detalle
+        },
+        markdown,
+        desc: `🗒️ Changes from version ${desde.version} (${desde.cargadoEn}) to version ${hasta.version} (${hasta.cargadoEn})\n` +
+            `• Added: ${resumen.added}\n• Removed: ${resumen.removed}\n• Repriced: ${resumen.repriced}\n• Other changes: ${resumen.otherChanges}`
+    });
+});
+
+router.use(requiereCatalogo);
+
+router.get('/products', (req, res) => {
+    const productos = catalogo.listarProductos();
+    responderLista(res, 200, {
+        raw: { total: productos.length, products: productos },
+        markdown: tablaProductos(productos),
+        desc: `📦 ${productos.length} products in the price list`
+    });
+});
+
+router.get('/product/:id', (req, res) => {
+    const producto = catalogo.buscarProductoPorId(req.params.id);
+    if (!producto) {
+        return responder(res, 404, "Producto no Encontrado", {
+            mensaje: `No existe un producto con ID "${req.params.id}".`
+        });
+    }
+    const campos = [
+        ['Product ID', producto['ID Producto']],
+        ['Product Name', producto['Producto']],
+        ['Stock', producto['Exit.']],
+        ['Unit Cost', `$${producto['Costo Uni Unitario']}`],
+        ['Cost with VAT', `$${producto['COSTO CON IVA']}`],
+        ['Final Price', `$${precio(producto)}`]
+    ];
+    if (producto.specs) campos.push(['Tire Size', describirMedida({ width: producto.specs.width, aspectRatio: producto.specs.aspect_ratio, diameter: producto.specs.rim_diameter })]);
+    responderLista(res, 200, {
+        raw: { product: producto },
+        markdown: `| Field | Value |\n|:------|:------|\n` + campos.map(([campo, valor]) => `| ${campo} | ${celda(valor)} |`).join('\n'),
+        desc: `📦 ${producto['Producto']}\n• ID: ${producto['ID Producto']}\n• Stock: ${producto['Exit.']}\n• Price: $${precio(producto)}`
+    });
+});
+
+// --- Búsqueda General ---
+// query y productName usan el índice de la versión (busqueda.js); productId compara por
+// fragmento del ID y priceMin/priceMax filtran por PRECIO FINAL.
+const ESQUEMA_BUSQUEDA = {
+    query: { tipo: 'texto', maxLongitud: 100 },
+    productId: { tipo: 'texto', maxLongitud: 50 },
+    productName: { tipo: 'texto', maxLongitud: 100 },
+    priceMin: { tipo: 'numero', min: 0 },
+    priceMax: { tipo: 'numero', min: 0 },
+    limit: { tipo: 'entero', min: 1, max: 100, defecto: 50 }
+};
+
+// Relevancia extra cuando productId es el ID completo y no solo una parte.
+const BONO_ID_EXACTO = 2;
+
+// IDs comparables sin importar mayúsculas, guiones ni espacios ("ll c29834" = "LL-C29834").
+const normalizarIdProducto = (id) => normalizarTexto(id).replace(/[^a-z0-9]/g, '');
+
+const EJEMPLOS_BUSQUEDA = {
+    basic: { query: 'MIRAGE' },
+    advanced: { productName: 'JK TYRE', priceMin: 1000, priceMax: 3000 },
+    multiParam: { query: '185', priceMax: 2000, limit: 10 }
+};
+
+router.post('/search', (req, res) => {
+    const { valores: filtros, errores } = validar(ESQUEMA_BUSQUEDA, req.body);
+    if (errores.length > 0) {
+        return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+    }
+    const { query, productId, productName, priceMin, priceMax, limit } = filtros;
+    if (!query && !productId && !productName && priceMin === null && priceMax === null) {
+        return responder(res, 400, "Error de Validación", {
+            mensaje: 'Indique al menos un criterio: query, productId, productName, priceMin o priceMax.',
+            supportedParams: Object.keys(ESQUEMA_BUSQUEDA),
+            examples: EJEMPLOS_BUSQUEDA
+        });
+    }
+
+    // Una sola versión para toda la solicitud: el índice guarda posiciones de sus productos.
+    const { productos, indice } = catalogo.versionActiva();
+    const relevancia = new Map();
+    const aproximaciones = [];
+    const acumular = ({ resultados, aproximaciones: aproximadas }) => {
+        aproximaciones.push(...aproximadas);
+        return resultados;
+    };
+    const porTexto = [
+        query && acumular(buscarEnIndice(indice, productos, query)),
+        productName && acumular(buscarEnIndice(indice, productos, productName, ['nombre']))
+    ].filter(Boolean);
+
+    const idBuscado = productId && normalizarIdProducto(productId);
+    const candidatos = [];
+    productos.forEach((p, posicion) => {
+        if (priceMin !== null && precio(p) < priceMin) return;
+        if (priceMax !== null && precio(p) > priceMax) return;
+        const id = normalizarIdProducto(p['ID Producto']);
+        if (idBuscado && !id.includes(idBuscado)) return;
+        if (porTexto.some(resultados => !resultados.has(posicion))) return;
+
+        const terminos = new Set(porTexto.flatMap(resultados => [...resultados.get(posicion).terminos]));
+        const puntaje = porTexto.reduce((total, resultados) => total + resultados.get(posicion).relevancia, 0) +
+            (idBuscado && id === idBuscado ? BONO_ID_EXACTO : 0);
+        relevancia.set(p, { puntaje, terminos });
+        candidatos.push(p);
+    });
+    // Con criterios de texto manda la relevancia; a igual relevancia, el más barato primero.
+    const conRelevancia = porTexto.length > 0 || idBuscado;
+    const encontrados = conRelevancia
+        ? candidatos.sort((a, b) => relevancia.get(b).puntaje - relevancia.get(a).puntaje || porPrecio(a, b))
+        : candidatos.sort(porPrecio);
+    const resultados = encontrados.slice(0, limit);
+    const precios = resultados.map(precio);
+    const correcciones = aproximaciones.map(a => `"${a.term}" → ${a.matches.map(m => `"${m}"`).join(', ')}`);
+
+    responderLista(res, 200, {
+        raw: {
+            searchParams: { query, productId, productName, priceRange: { min: priceMin, max: priceMax }, limit },
+            total: encontrados.length,
+            isLimited: encontrados.length > resultados.length,
+            approximateMatches: aproximaciones,
+            results: resultados.map(p => conRelevancia
+                ? { ...p, relevance: Math.round(relevancia.get(p).puntaje * 100) / 100, matchedTerms: [...relevancia.get(p).terminos] }
+                : p)
+        },
+        markdown: resultados.length > 0
+            ? tablaProductos(resultados, undefined, (texto, p) => idBuscado && texto === p['ID Producto']
+                ? `**${texto}**`
+                : resaltar(texto, relevancia.get(p).terminos))
+            : 'No matching products found.',
+        desc: resultados.length > 0
+            ? `🔍 Found ${encontrados.length} products (showing ${resultados.length}${conRelevancia ? ', most relevant first' : ''})\n\n` +
+                `💰 Price range: $${Math.min(...precios)} - $${Math.max(...precios)}` +
+                (correcciones.length > 0 ? `\n\n✏️ Approximate matches: ${correcciones.join('; ')}` : '')
+            : '❌ No products match the search criteria.'
+    });
+});
+
+// --- Búsqueda de Llantas por Medida ---
+const ESQUEMA_BUSQUEDA_LLANTAS = {
+    width: { tipo: 'entero', requerido: true, min: 100, max: 9999 },
+    aspectRatio: { tipo: 'entero', min: 10, max: 99 },
+    diameter: { tipo: 'texto', maxLongitud: 5, validar: (valor) => normalizarRin(valor) === null ? 'debe ser un rin como 15 o R15' : null },
+    limit: { tipo: 'entero', min: 1, max: 100, defecto: 10 }
+};
+
+const TEXTOS_LLANTAS = {
+    en: {
+        encabezados: ['Product ID', 'Product Name', 'Stock', 'Price'],
+        tipos: { car: 'Car', truck: 'Truck' },
+        titulo: (tipo, medida) => `🔍 Tire Search Results - ${tipo} Tire (${medida})`,
+        estadisticas: '📊 Search Statistics:',
+        encontradas: 'Matching tires',
+        mostradas: 'Shown',
+        tipo: 'Tire type',
+        medida: 'Search specification',
+        rango: '💰 Price range',
+        recomendadas: '🏆 Recommended tires:',
+        sinResultados: (medida) => `❌ No tires found for ${medida}. Try without aspect ratio or diameter for a broader search.`,
+        tablaVacia: 'No matching tires found.'
+    },
+    es: {
+        encabezados: ['ID Producto', 'Nombre del Producto', 'Stock', 'Precio'],
+        tipos: { car: 'Auto', truck: 'Camión' },
+        titulo: (tipo, medida) => `🔍 Resultados de Búsqueda de Neumáticos - Neumático de ${tipo} (${medida})`,
+        estadisticas: '📊 Estadísticas de Búsqueda:',
+        encontradas: 'Neumáticos encontrados',
+        mostradas: 'Cantidad mostrada',
+        tipo: 'Tipo de neumático',
+        medida: 'Especificación de búsqueda',
+        rango: '💰 Rango de precios',
+        recomendadas: '🏆 Neumáticos recomendados:',
+        sinResultados: (medida) => `❌ No se encontraron neumáticos ${medida}. Intente sin perfil o sin rin para ampliar la búsqueda.`,
+        tablaVacia: 'No se encontraron neumáticos.'
+    }
+};
+
+const esVerdadero = (valor) => valor === true || ['true', '1', 'si', 'sí', 'yes'].includes(String(valor).trim().toLowerCase());
+
+/**
+ * Busca llantas por medida. Acepta camelCase o snake_case (aspect_ratio, rim_diameter,
+ * exact_match) y el rin como "15" o "R15". Con perfil y rin la coincidencia es exacta.
+ */
+const buscarLlantas = (idioma) => (req, res) => {
+    const cuerpo = req.body || {};
+    const datos = {
+        width: cuerpo.width,
+        aspectRatio: cuerpo.aspectRatio ?? cuerpo.aspect_ratio,
+        diameter: cuerpo.diameter ?? cuerpo.rim_diameter,
+        limit: cuerpo.limit
+    };
+    const { valores, errores } = validar(ESQUEMA_BUSQUEDA_LLANTAS, datos);
+    if (errores.length > 0) {
+        return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+    }
+
+    const diameter = valores.diameter !== null ? normalizarRin(valores.diameter) : null;
+    const busqueda = {
+        width: valores.width,
+        aspectRatio: valores.aspectRatio,
+        diameter,
+        type: valores.aspectRatio !== null ? 'car' : tipoPorAncho(valores.width),
+        exactMatch: esVerdadero(cuerpo.exactMatch ?? cuerpo.exact_match) || (valores.aspectRatio !== null && diameter !== null)
+    };
+    const medida = describirMedida(busqueda);
+
+    const encontradas = catalogo.listarProductos().filter(p => cumpleBusqueda(p.specs, busqueda)).sort(porPrecio);
+    const mostradas = encontradas.slice(0, valores.limit);
+    const textos = TEXTOS_LLANTAS[idioma];
+    const tipo = textos.tipos[busqueda.type];
+
+    const desc = mostradas.length === 0 ? textos.sinResultados(medida) : [
+        textos.titulo(tipo, medida),
+        '',
+        textos.estadisticas,
+        `• ${textos.encontradas}: ${encontradas.length}`,
+        `• ${textos.mostradas}: ${mostradas.length}`,
+        `• ${textos.tipo}: ${tipo}`,
+        `• ${textos.medida}: ${medida}`,
+        '',
+        `${textos.rango}: $${precio(mostradas[0])} - $${precio(mostradas[mostradas.length - 1])}`,
+        '',
+        textos.recomendadas,
+        ...mostradas.slice(0, 3).map((p, i) => `${i + 1}. ${p['Producto']} - $${precio(p)}`)
+    ].join('\n');
+
+    responderLista(res, 200, {
+        raw: {
+            searchType: busqueda.type,
+            searchSpec: medida,
+            totalFound: encontradas.length,
+            results: mostradas.map(p => ({
+                id: p['ID Producto'],
+                product: p['Producto'],
+                stock: p['Exit.'],
+                price: precio(p),
+                specs: { width: p.specs.width, aspect_ratio: p.specs.aspect_ratio, rim_diameter: p.specs.rim_diameter, type: p.specs.type }
+            })),
+            searchParams: { ...busqueda, limit: valores.limit }
+        },
+        markdown: mostradas.length > 0 ? tablaProductos(mostradas, textos.encabezados) : textos.tablaVacia,
+        desc
+    });
+};
+
+router.post('/tire-search', buscarLlantas('en'));
+router.post('/tire-search-es', buscarLlantas('es'));
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { conBloqueo } = require('../bloqueo');
+
+// --- Bandeja de Salida (outbox) ---
+// Cada entrega (una notificación por un canal) se guarda antes de intentarse, de modo
+// que un fallo o un reinicio no la pierde. Se persiste en un archivo JSON
+// (BANDEJA_ARCHIVO, por defecto data/bandeja-notificaciones.json), así que necesita un
+// disco escribible que sobreviva entre invocaciones. En hosting de solo lectura (Vercel)
+// las escrituras fallan y las notificaciones se envían sin bandeja ni reintentos.
+
+const RUTA_BANDEJA = path.resolve(process.env.BANDEJA_ARCHIVO || path.join(__dirname, '..', '..', 'data', 'bandeja-notificaciones.json'));
+
+// Las entregas exitosas se conservan unos días como historial y luego se purgan.
+const DIAS_HISTORIAL = parseInt(process.env.BANDEJA_DIAS_HISTORIAL, 10) || 7;
+
+// Mientras se intenta una entrega el item queda reservado (`reservadaHasta`), para que el
+// temporizador y /api/admin/notificaciones/procesar no la envíen dos veces. Si el proceso
+// termina a medio envío, la reserva vence sola y el item vuelve a intentarse.
+const MINUTOS_RESERVA = 10;
+
+const reservado = (item, ahora) => Boolean(item.reservadaHasta) && new Date(item.reservadaHasta) > ahora;
+const finReserva = (ahora) => new Date(ahora.getTime() + MINUTOS_RESERVA * 60000).toISOString();
+
+async function leer() {
+    try {
+        const items = JSON.parse(await fs.readFile(RUTA_BANDEJA, 'utf8'));
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function escribir(items) {
+    await fs.mkdir(path.dirname(RUTA_BANDEJA), { recursive: true });
+    const temporal = `${RUTA_BANDEJA}.${process.pid}.tmp`;
+    await fs.writeFile(temporal, JSON.stringify(items, null, 2));
+    await fs.rename(temporal, RUTA_BANDEJA);
+}
+
+const purgar = (items, ahora) => {
+    const limite = ahora.getTime() - DIAS_HISTORIAL * 86400000;
+    return items.filter(item => item.estado !== 'enviada' || new Date(item.actualizadaEn).getTime() >= limite);
+};
+
+/**
+ * Registra entregas nuevas en estado 'pendiente', reservadas para su primer intento.
+ * @param {Array<{canal: string, notificacion: object}>} entregas
+ * @returns {Promise<Array<object>>} Los items creados.
+ */
+function agregar(entregas) {
+    return conBloqueo('bandeja', async () => {
+        const ahora = new Date();
+        const nuevos = entregas.map(({ canal, notificacion }) => ({
+            id: crypto.randomUUID(),
+            canal,
+            evento: notificacion.evento,
+            idCita: notificacion.cita.idCita,
+            notificacion,
+            estado: 'pendiente',
+            intentos: 0,
+            proximoIntento: ahora.toISOString(),
+            reservadaHasta: finReserva(ahora),
+            ultimoError: null,
+            creadaEn: ahora.toISOString(),
+            actualizadaEn: ahora.toISOString()
+        }));
+        await escribir([...purgar(await leer(), ahora), ...nuevos]);
+        return nuevos;
+    });
+}
+
+/**
+ * Aplica cambios a un item guardado.
+ * @returns {Promise<object|null>} El item actualizado, o null si ya no existe.
+ */
+function actualizar(id, cambios) {
+    return conBloqueo('bandeja', async () => {
+        const items = await leer();
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        Object.assign(item, cambios, { actualizadaEn: new Date().toISOString() });
+        await escribir(items);
+        return item;
+    });
+}
+
+/**
+ * Reserva los items pendientes cuyo próximo intento ya venció y que nadie más está enviando.
+ * @returns {Promise<Array<object>>} Los items reservados.
+ */
+function reservarVencidos(ahora = new Date()) {
+    return conBloqueo('bandeja', async () => {
+        const items = await leer();
+        const vencidos = items.filter(item => item.estado === 'pendiente' && new Date(item.proximoIntento) <= ahora && !reservado(item, ahora));
+        if (vencidos.length === 0) return [];
+        vencidos.forEach(item => { item.reservadaHasta = finReserva(ahora); });
+        await escribir(items);
+        return vencidos;
+    });
+}
+
+/**
+ * Reserva un item para intentarlo de inmediato, aunque su próximo intento no haya llegado.
+ * No se reserva si ya se envió o si otra entrega lo tiene reservado.
+ * @returns {Promise<{item: object, reservado: boolean}|null>} null si el id no existe.
+ */
+function reservar(id, ahora = new Date()) {
+    return conBloqueo('bandeja', async () => {
+        const items = await leer();
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        if (item.estado === 'enviada' || reservado(item, ahora)) return { item, reservado: false };
+        item.reservadaHasta = finReserva(ahora);
+        await escribir(items);
+        return { item, reservado: true };
+    });
+}
+
+/**
+ * Lista items, opcionalmente filtrados por estado, del más reciente al más antiguo.
+ */
+async function listar(estado) {
+    return (await leer())
+        .filter(item => !estado || item.estado === estado)
+        .sort((a, b) => b.creadaEn.localeCompare(a.creadaEn));
+}
+
+module.exports = { agregar, actualizar, reservarVencidos, reservar, listar };
@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// --- Canal de Consola (desarrollo) ---
+// Sustituto local de los canales reales: imprime cada evento y, si NOTIFICACIONES_ARCHIVO
+// está definido, lo agrega como una línea JSON a ese archivo.
+
+const consola = {
+    nombre: 'consola',
+    aplica: () => true,
+    async enviar({ evento, cita }) {
+        console.log(`📣 [notificación:${evento}] ${cita.idCita} - ${cita.nombre} - ${cita.servicio} ${cita.fecha} ${cita.hora}`);
+        const archivo = process.env.NOTIFICACIONES_ARCHIVO;
+        if (archivo) {
+            await fs.mkdir(path.dirname(path.resolve(archivo)), { recursive: true });
+            await fs.appendFile(archivo, JSON.stringify({ evento, cita, registradoEn: new Date().toISOString() }) + '\n');
+        }
+        return archivo || 'stdout';
+    }
+};
+
+module.exports = { canales: [consola] };
@@ -0,0 +1,97 @@
+const nodemailer = require('nodemailer'); // Importamos Nodemailer
+const { renderizarCorreo } = require('../plantillas');
+
+// --- Canal de Correo (Nodemailer) ---
+// Dos destinatarios independientes: el interno fijo (RECIPIENT_EMAIL) y el cliente (si dio correo).
+
+// Idioma de los correos internos; el del cliente se guarda con cada cita.
+const IDIOMA_INTERNO = process.env.IDIOMA_INTERNO || 'es';
+
+let transporter;
+// Creamos el "transporter" la primera vez que se usa el canal.
+// Usaremos Gmail como ejemplo. ¡Asegúrate de configurar esto en tu .env!
+const obtenerTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: process.env.EMAIL_USER || 'tuemail@gmail.com',
+                pass: process.env.EMAIL_PASS || 'tu_contraseña_de_aplicacion'
+            }
+        });
+        transporter.verify((error) => {
+            if (error) {
+                console.log('❌ Error conectando con Gmail:', error);
+            } else {
+                console.log('✅ Conexión con Gmail establecida correctamente');
+            }
+        });
+    }
+    return transporter;
+};
+
+const adjuntoIcs = ({ ics }) => ics && { filename: 'cita.ics', method: ics.metodo, content: ics.contenido };
+
+const correoInterno = {
+    nombre: 'email-interno',
+    aplica: () => Boolean(process.env.RECIPIENT_EMAIL),
+    /**
+     * Envía un correo electrónico de notificación de cita a un destinatario predefinido.
+     */
+    async enviar(notificacion) {
+        const correo = renderizarCorreo({
+            destinatario: 'interno',
+            evento: notificacion.evento,
+            idioma: IDIOMA_INTERNO,
+            cita: notificacion.cita,
+            negocio: notificacion.negocio
+        });
+        await obtenerTransporter().sendMail({
+            from: process.env.EMAIL_USER,
+            to: process.env.RECIPIENT_EMAIL, // El destinatario es fijo
+            subject: correo.asunto,
+            html: correo.html,
+            text: correo.texto,
+            // Evento .ics para que el destinatario lo agregue a su calendario con un clic.
+            icalEvent: adjuntoIcs(notificacion)
+        });
+        return process.env.RECIPIENT_EMAIL;
+    }
+};
+
+const correoCliente = {
+    nombre: 'email-cliente',
+    aplica: ({ cita }) => Boolean(cita.email),
+    /**
+     * Envía al cliente la confirmación de su cita en su idioma.
+     */
+    async enviar(notificacion) {
+        const { cita } = notificacion;
+        const correo = renderizarCorreo({
+            destinatario: 'cliente',
+            evento: notificacion.evento,
+            idioma: cita.idioma,
+            cita,
+            negocio: notificacion.negocio
+        });
+        await obtenerTransporter().sendMail({
+            from: process.env.EMAIL_USER,
+            to: cita.email,
+            replyTo: process.env.RECIPIENT_EMAIL || process.env.EMAIL_USER,
+            subject: correo.asunto,
+            html: correo.html,
+            text: correo.texto,
+            icalEvent: adjuntoIcs(notificacion)
+        });
+        return cita.email;
+    }
+};
+
+function iniciar() {
+    if (!process.env.RECIPIENT_EMAIL) {
+        console.warn(`ADVERTENCIA: La variable de entorno RECIPIENT_EMAIL no está definida. No se enviarán correos internos.`);
+    }
+    obtenerTransporter();
+}
+
+module.exports = { canales: [correoInterno, correoCliente], iniciar };
@@ -0,0 +1,147 @@
+const bandeja = require('./bandeja');
+
+// --- Notificaciones de Citas ---
+// Un mismo evento de cita se reparte entre los canales habilitados en NOTIFICACIONES_CANALES
+// (lista separada por comas, por defecto "email"). Cada canal expone:
+//   - nombre: identificador para logs
+//   - aplica(notificacion): false si no tiene destinatario para esta cita
+//   - enviar(notificacion): Promise que se rechaza si la entrega falla
+//
+// La notificación tiene la forma { evento, cita, negocio, ics: { metodo, contenido } }.
+// Cada entrega pasa por la bandeja de salida (bandeja.js): si falla se reintenta con
+// espera creciente hasta NOTIFICACIONES_MAX_INTENTOS y después queda como 'fallida'.
+// Si la bandeja no se puede escribir (p. ej. disco de solo lectura) la notificación se
+// envía igual, una sola vez y sin reintentos, y el resultado lo indica en `errorBandeja`.
+// Cada intento se hace sobre un item reservado en la bandeja, así que el temporizador, el
+// cron y los reintentos manuales nunca envían la misma entrega al mismo tiempo.
+
+const GRUPOS = {
+    email: () => require('./email').canales,
+    webhook: () => require('./webhook').canales,
+    sms: () => require('./sms').canales.filter(c => c.nombre === 'sms'),
+    whatsapp: () => require('./sms').canales.filter(c => c.nombre === 'whatsapp'),
+    consola: () => require('./consola').canales
+};
+
+const configurados = (process.env.NOTIFICACIONES_CANALES || 'email')
+    .split(',')
+    .map(c => c.trim().toLowerCase())
+    .filter(Boolean);
+
+const desconocidos = configurados.filter(c => !GRUPOS[c]);
+if (desconocidos.length > 0) {
+    throw new Error(`NOTIFICACIONES_CANALES contiene canales desconocidos: ${desconocidos.join(', ')}. Use: ${Object.keys(GRUPOS).join(', ')}.`);
+}
+
+const canales = [...new Set(configurados)].flatMap(grupo => GRUPOS[grupo]());
+
+if (configurados.includes('email')) require('./email').iniciar();
+
+const MAX_INTENTOS = parseInt(process.env.NOTIFICACIONES_MAX_INTENTOS, 10) || 5;
+// Espera antes de cada reintento, en minutos; el último valor se repite.
+const ESPERAS_MINUTOS = [1, 5, 30, 120, 720];
+
+const esperaTrasIntento = (intentos) => ESPERAS_MINUTOS[Math.min(intentos - 1, ESPERAS_MINUTOS.length - 1)] * 60000;
+
+/**
+ * Intenta una entrega reservada de la bandeja, guarda el resultado y libera la reserva. Un error al guardar no cambia
+ * el resultado de la entrega; se informa en `errorBandeja`.
+ * @returns {Promise<{canal: string, ok: boolean, estado: string, destino?: string, error?: string, errorBandeja?: string}>}
+ */
+async function entregar(item) {
+    const canal = canales.find(c => c.nombre === item.canal);
+    const intentos = item.intentos + 1;
+    let resultado;
+    let cambios;
+    try {
+        if (!canal) throw new Error(`El canal ${item.canal} ya no está habilitado.`);
+        const destino = await canal.enviar(item.notificacion);
+        console.log(`Notificación (${item.evento}) de la cita ${item.idCita} enviada por ${item.canal}${destino ? ` a ${destino}` : ''}.`);
+        resultado = { canal: item.canal, ok: true, estado: 'enviada', destino };
+        cambios = { estado: 'enviada', intentos, ultimoError: null, destino, reservadaHasta: null };
+    } catch (error) {
+        const estado = intentos >= MAX_INTENTOS ? 'fallida' : 'pendiente';
+        console.error(`Error al enviar la notificación por ${item.canal} (intento ${intentos}/${MAX_INTENTOS}):`, error.message);
+        resultado = { canal: item.canal, ok: false, estado, error: error.message };
+        cambios = {
+            estado,
+            intentos,
+            ultimoError: error.message,
+            proximoIntento: new Date(Date.now() + esperaTrasIntento(intentos)).toISOString(),
+            reservadaHasta: null
+        };
+    }
+    try {
+        await bandeja.actualizar(item.id, cambios);
+    } catch (error) {
+        console.error(`Error al guardar en la bandeja de salida el resultado de ${item.id}:`, error.message);
+        resultado.errorBandeja = error.message;
+    }
+    return resultado;
+}
+
+/**
+ * Envía por un canal sin pasar por la bandeja; se usa cuando la bandeja no se puede escribir.
+ * Una entrega fallida queda 'fallida' porque no hay dónde programar el reintento.
+ */
+async function entregarSinBandeja(canal, notificacion, errorBandeja) {
+    try {
+        const destino = await canal.enviar(notificacion);
+        console.log(`Notificación (${notificacion.evento}) de la cita ${notificacion.cita.idCita} enviada por ${canal.nombre}${destino ? ` a ${destino}` : ''} (sin bandeja de salida).`);
+        return { canal: canal.nombre, ok: true, estado: 'enviada', destino, errorBandeja };
+    } catch (error) {
+        console.error(`Error al enviar la notificación por ${canal.nombre} (sin bandeja de salida, no se reintentará):`, error.message);
+        return { canal: canal.nombre, ok: false, estado: 'fallida', error: error.message, errorBandeja };
+    }
+}
+
+/**
+ * Registra la notificación en la bandeja para cada canal aplicable y hace el primer intento.
+ * Si la bandeja falla, envía de todos modos sin reintentos. Nunca se rechaza: el resultado
+ * indica el estado real de cada entrega.
+ * @returns {Promise<Array<{canal: string, ok: boolean, estado: string, destino?: string, error?: string, errorBandeja?: string}>>}
+ */
+async function notificar(notificacion) {
+    const aplicables = canales.filter(canal => canal.aplica(notificacion));
+    if (aplicables.length === 0) return [];
+    let items;
+    try {
+        items = await bandeja.agregar(aplicables.map(canal => ({ canal: canal.nombre, notificacion })));
+    } catch (error) {
+        console.error('Error al registrar la notificación en la bandeja de salida:', error.message);
+        return Promise.all(aplicables.map(canal => entregarSinBandeja(canal, notificacion, error.message)));
+    }
+    return Promise.all(items.map(entregar));
+}
+
+/**
+ * Reintenta las entregas pendientes cuyo turno ya llegó.
+ * @returns {Promise<Array<object>>} Resultado de cada reintento.
+ */
+async function procesarPendientes(ahora = new Date()) {
+    const vencidos = await bandeja.reservarVencidos(ahora);
+    const resultados = [];
+    for (const item of vencidos) {
+        resultados.push({ id: item.id, idCita: item.idCita, ...(await entregar(item)) });
+    }
+    return resultados;
+}
+
+/**
+ * Intenta de inmediato una entrega fallida (o pendiente). Una fallida vuelve a empezar su
+ * cuenta de intentos.
+ * @returns {Promise<object|null>} Resultado del intento, o null si el id no existe. Si otra
+ *   entrega la tiene reservada no se intenta y el resultado trae `enCurso`.
+ */
+async function reintentar(id) {
+    const reserva = await bandeja.reservar(id);
+    if (!reserva) return null;
+    const { item, reservado } = reserva;
+    if (item.estado === 'enviada') return { canal: item.canal, ok: true, estado: 'enviada', destino: item.destino };
+    if (!reservado) return { canal: item.canal, ok: false, estado: item.estado, enCurso: true, error: 'La entrega ya se está intentando.' };
+    return entregar({ ...item, intentos: item.estado === 'fallida' ? 0 : item.intentos });
+}
+
+const canalesActivos = () => canales.map(c => c.nombre);
+
+module.exports = { notificar, procesarPendientes, reintentar, listarBandeja: bandeja.listar, canalesActivos };
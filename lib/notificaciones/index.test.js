@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'bandeja-'));
+process.env.NOTIFICACIONES_CANALES = 'consola';
+process.env.BANDEJA_ARCHIVO = path.join(directorio, 'bandeja.json');
+delete process.env.NOTIFICACIONES_MAX_INTENTOS;
+delete process.env.NOTIFICACIONES_ARCHIVO;
+
+const MINUTO = 60000;
+
+/**
+ * Instancia nueva de las notificaciones con la bandeja en `archivo`, y el canal de consola
+ * para controlar sus envíos.
+ */
+function cargar(archivo) {
+    process.env.BANDEJA_ARCHIVO = archivo;
+    let modulos;
+    jest.isolateModules(() => {
+        modulos = { notificaciones: require('./index'), canal: require('./consola').canales[0] };
+    });
+    return modulos;
+}
+
+let contador = 0;
+const notificacion = () => ({
+    evento: 'nueva',
+    cita: { idCita: `CITA-${++contador}`, nombre: 'Ana', servicio: 'Alineación', fecha: '2026-11-02', hora: '10:00' },
+    negocio: {}
+});
+
+// Promesa que se resuelve desde fuera, para dejar un envío en curso.
+function diferida() {
+    let resolver;
+    const promesa = new Promise(resolve => { resolver = resolve; });
+    return { promesa, resolver };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(() => fs.rmSync(directorio, { recursive: true, force: true }));
+
+describe('reintentos', () => {
+    test('espera 1, 5, 30 y 120 minutos y queda fallida tras el quinto intento', async () => {
+        const { notificaciones, canal } = cargar(path.join(directorio, 'reintentos.json'));
+        jest.spyOn(canal, 'enviar').mockRejectedValue(new Error('sin conexión'));
+
+        let antes = Date.now();
+        const [primero] = await notificaciones.notificar(notificacion());
+        expect(primero).toMatchObject({ ok: false, estado: 'pendiente', error: 'sin conexión' });
+
+        for (const [intentos, minutos] of [[1, 1], [2, 5], [3, 30], [4, 120]]) {
+            const [item] = await notificaciones.listarBandeja();
+            expect(item).toMatchObject({ estado: 'pendiente', intentos, ultimoError: 'sin conexión', reservadaHasta: null });
+            const proximo = new Date(item.proximoIntento).getTime();
+            expect(proximo).toBeGreaterThanOrEqual(antes + minutos * MINUTO);
+            expect(proximo).toBeLessThanOrEqual(Date.now() + minutos * MINUTO);
+
+            // Un minuto antes de su turno todavía no se reintenta.
+            expect(await notificaciones.procesarPendientes(new Date(proximo - MINUTO))).toEqual([]);
+            antes = Date.now();
+            const resultados = await notificaciones.procesarPendientes(new Date(proximo));
+            expect(resultados).toHaveLength(1);
+        }
+
+        const [item] = await notificaciones.listarBandeja();
+        expect(item).toMatchObject({ estado: 'fallida', intentos: 5 });
+        expect(await notificaciones.procesarPendientes(new Date(Date.now() + 30 * 86400000))).toEqual([]);
+        expect(canal.enviar).toHaveBeenCalledTimes(5);
+    });
+
+    test('reintentar una fallida reinicia la cuenta y la envía', async () => {
+        const { notificaciones, canal } = cargar(path.join(directorio, 'reintentos.json'));
+        jest.spyOn(canal, 'enviar').mockResolvedValue('stdout');
+        const [fallida] = await notificaciones.listarBandeja('fallida');
+
+        expect(await notificaciones.reintentar(fallida.id)).toMatchObject({ ok: true, estado: 'enviada' });
+        expect((await notificaciones.listarBandeja())[0]).toMatchObject({ estado: 'enviada', intentos: 1 });
+        expect(await notificaciones.reintentar('no-existe')).toBeNull();
+    });
+});
+
+describe('entregas simultáneas', () => {
+    test('dos pasadas a la vez entregan cada item una sola vez', async () => {
+        const { notificaciones, canal } = cargar(path.join(directorio, 'simultaneas.json'));
+        const envio = jest.spyOn(canal, 'enviar').mockRejectedValueOnce(new Error('sin conexión'));
+        await notificaciones.notificar(notificacion());
+        envio.mockResolvedValue('stdout');
+
+        const vencido = new Date(Date.now() + 2 * MINUTO);
+        const [a, b] = await Promise.all([notificaciones.procesarPendientes(vencido), notificaciones.procesarPendientes(vencido)]);
+        expect(a.length + b.length).toBe(1);
+        expect(canal.enviar).toHaveBeenCalledTimes(2);
+    });
+
+    test('el primer intento en curso no se toma desde el temporizador ni a mano', async () => {
+        const { notificaciones, canal } = cargar(path.join(directorio, 'en-curso.json'));
+        const envio = diferida();
+        jest.spyOn(canal, 'enviar').mockReturnValue(envio.promesa);
+
+        const notificando = notificaciones.notificar(notificacion());
+        let item;
+        while (!item) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            [item] = await notificaciones.listarBandeja();
+        }
+        expect(await notificaciones.procesarPendientes()).toEqual([]);
+        expect(await notificaciones.reintentar(item.id)).toMatchObject({ ok: false, enCurso: true });
+
+        envio.resolver('stdout');
+        expect(await notificando).toEqual([expect.objectContaining({ ok: true, estado: 'enviada' })]);
+        expect(canal.enviar).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('sin bandeja', () => {
+    // Una ruta dentro de un archivo regular nunca se puede crear.
+    const rutaImposible = () => {
+        const archivo = path.join(directorio, 'no-es-directorio');
+        fs.writeFileSync(archivo, '');
+        return path.join(archivo, 'bandeja.json');
+    };
+
+    test('envía de todos modos e informa el error de la bandeja', async () => {
+        const { notificaciones, canal } = cargar(rutaImposible());
+        jest.spyOn(canal, 'enviar').mockResolvedValue('stdout');
+        const [resultado] = await notificaciones.notificar(notificacion());
+        expect(resultado).toMatchObject({ canal: 'consola', ok: true, estado: 'enviada', destino: 'stdout' });
+        expect(resultado.errorBandeja).toEqual(expect.any(String));
+        expect(canal.enviar).toHaveBeenCalledTimes(1);
+    });
+
+    test('un envío fallido queda fallida porque no hay dónde reintentarlo', async () => {
+        const { notificaciones, canal } = cargar(rutaImposible());
+        jest.spyOn(canal, 'enviar').mockRejectedValue(new Error('sin conexión'));
+        const [resultado] = await notificaciones.notificar(notificacion());
+        expect(resultado).toMatchObject({ ok: false, estado: 'fallida', error: 'sin conexión' });
+        expect(resultado.errorBandeja).toEqual(expect.any(String));
+    });
+});
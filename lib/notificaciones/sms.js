@@ -0,0 +1,51 @@
+const { renderizarMensajeCorto } = require('../plantillas');
+const { telefonoAE164 } = require('../validacion');
+
+// --- Canales SMS y WhatsApp (Twilio) ---
+// Envían al teléfono del cliente la versión corta de la notificación.
+// Requieren TWILIO_ACCOUNT_SID y TWILIO_AUTH_TOKEN, más TWILIO_SMS_FROM y/o
+// TWILIO_WHATSAPP_FROM (número remitente en formato +521...).
+
+const API_TWILIO = 'https://api.twilio.com/2010-04-01';
+// Las notificaciones se esperan dentro de la solicitud de la cita: Twilio no debe detenerla.
+const TIMEOUT_MS = parseInt(process.env.TWILIO_TIMEOUT_MS, 10) || 10000;
+
+async function enviarTwilio({ de, para, texto }) {
+    const { TWILIO_ACCOUNT_SID: sid, TWILIO_AUTH_TOKEN: token } = process.env;
+    const respuesta = await fetch(`${API_TWILIO}/Accounts/${sid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${sid}:${token}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ From: de, To: para, Body: texto }).toString(),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    if (!respuesta.ok) {
+        const detalle = await respuesta.text().catch(() => '');
+        throw new Error(`Twilio respondió ${respuesta.status}: ${detalle.slice(0, 200)}`);
+    }
+}
+
+const credencialesTwilio = () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+
+const crearCanal = (nombre, variableRemitente, prefijo) => ({
+    nombre,
+    aplica: ({ cita }) => credencialesTwilio() && Boolean(process.env[variableRemitente]) && Boolean(telefonoAE164(cita.telefono)),
+    async enviar({ evento, cita, negocio }) {
+        const para = telefonoAE164(cita.telefono);
+        await enviarTwilio({
+            de: `${prefijo}${process.env[variableRemitente]}`,
+            para: `${prefijo}${para}`,
+            texto: renderizarMensajeCorto({ evento, idioma: cita.idioma, cita, negocio })
+        });
+        return para;
+    }
+});
+
+module.exports = {
+    canales: [
+        crearCanal('sms', 'TWILIO_SMS_FROM', ''),
+        crearCanal('whatsapp', 'TWILIO_WHATSAPP_FROM', 'whatsapp:')
+    ]
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// --- Canal de Webhook Saliente ---
+// Envía cada evento como JSON a WEBHOOK_URL. Si WEBHOOK_SECRETO está definido, el cuerpo
+// se firma con HMAC-SHA256 en la cabecera X-Firma ("sha256=<hex>") para que el receptor
+// pueda verificar el origen.
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+const webhook = {
+    nombre: 'webhook',
+    aplica: () => Boolean(process.env.WEBHOOK_URL),
+    async enviar({ evento, cita }) {
+        const cuerpo = JSON.stringify({ evento, cita, enviadoEn: new Date().toISOString() });
+        const cabeceras = { 'Content-Type': 'application/json' };
+        if (process.env.WEBHOOK_SECRETO) {
+            const firma = crypto.createHmac('sha256', process.env.WEBHOOK_SECRETO).update(cuerpo).digest('hex');
+            cabeceras['X-Firma'] = `sha256=${firma}`;
+        }
+
+        const respuesta = await fetch(process.env.WEBHOOK_URL, {
+            method: 'POST',
+            headers: cabeceras,
+            body: cuerpo,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (!respuesta.ok) {
+            throw new Error(`El webhook respondió ${respuesta.status} ${respuesta.statusText}.`);
+        }
+        return process.env.WEBHOOK_URL;
+    }
+};
+
+module.exports = { canales: [webhook] };
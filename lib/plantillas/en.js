@@ -0,0 +1,71 @@
+// --- English email copy ---
+// Plain text only: the layout (plantillas/index.js) escapes and formats it.
+
+module.exports = {
+    etiquetas: {
+        nombre: 'Name',
+        telefono: 'Phone',
+        correo: 'Email',
+        servicio: 'Service',
+        fecha: 'Date',
+        hora: 'Time',
+        idCita: 'Appointment ID',
+        recurso: 'Resource',
+        industria: 'Industry',
+        notas: 'Notes',
+        noProporcionado: 'Not provided',
+        sinDato: 'N/A'
+    },
+    interno: {
+        nueva: {
+            asunto: (c) => `New Appointment: ${c.nombre} - ${c.servicio}`,
+            titulo: () => 'New Appointment Booked!',
+            intro: () => 'A new appointment has been booked with the following details:',
+            cierre: () => 'The appointment has been saved to the appointment log.'
+        },
+        reprogramada: {
+            asunto: (c) => `Appointment Rescheduled: ${c.nombre} - ${c.servicio}`,
+            titulo: () => 'Appointment Rescheduled',
+            intro: () => 'An appointment has been moved to a new time:',
+            cierre: () => 'The appointment log already shows the new time.'
+        },
+        cancelada: {
+            asunto: (c) => `Appointment Cancelled: ${c.nombre} - ${c.servicio}`,
+            titulo: () => 'Appointment Cancelled',
+            intro: () => 'The following appointment has been cancelled:',
+            cierre: () => 'The slot is free again on the calendar.'
+        },
+        recordatorio: {
+            asunto: (c) => `Reminder: ${c.nombre} - ${c.servicio} (${c.fecha} ${c.hora})`,
+            titulo: () => 'Upcoming Appointment',
+            intro: () => 'Reminder of an upcoming appointment:',
+            cierre: () => ''
+        }
+    },
+    cliente: {
+        nueva: {
+            asunto: (c) => `Your appointment is confirmed - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Your appointment is confirmed!',
+            intro: (c) => `Hi ${c.nombre}, thank you for booking with us. Here are your appointment details:`,
+            cierre: (c, n) => `To cancel or reschedule, reply to this email${n.telefono ? ` or call ${n.telefono}` : ''} quoting your appointment ID ${c.idCita}.`
+        },
+        reprogramada: {
+            asunto: (c) => `Your appointment was rescheduled - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Appointment Rescheduled',
+            intro: (c) => `Hi ${c.nombre}, your appointment has been moved to the following time:`,
+            cierre: (c, n) => `To cancel or reschedule, reply to this email${n.telefono ? ` or call ${n.telefono}` : ''} quoting your appointment ID ${c.idCita}.`
+        },
+        cancelada: {
+            asunto: (c) => `Your appointment was cancelled - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Appointment Cancelled',
+            intro: (c) => `Hi ${c.nombre}, we confirm that the following appointment has been cancelled:`,
+            cierre: () => 'If you would like to book a new appointment, we will be happy to help.'
+        },
+        recordatorio: {
+            asunto: (c) => `Appointment reminder - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Appointment Reminder',
+            intro: (c) => `Hi ${c.nombre}, this is a reminder of your upcoming appointment:`,
+            cierre: (c, n) => `If you cannot make it, reply to this email${n.telefono ? ` or call ${n.telefono}` : ''} quoting your appointment ID ${c.idCita}.`
+        }
+    }
+};
@@ -0,0 +1,71 @@
+// --- Textos de correo en español ---
+// Sólo texto plano: el layout (plantillas/index.js) se encarga de escapar y dar formato.
+
+module.exports = {
+    etiquetas: {
+        nombre: 'Nombre',
+        telefono: 'Teléfono',
+        correo: 'Correo',
+        servicio: 'Servicio',
+        fecha: 'Fecha',
+        hora: 'Hora',
+        idCita: 'ID de Cita',
+        recurso: 'Recurso',
+        industria: 'Industria',
+        notas: 'Notas',
+        noProporcionado: 'No proporcionado',
+        sinDato: 'N/A'
+    },
+    interno: {
+        nueva: {
+            asunto: (c) => `Nueva Cita Agendada: ${c.nombre} - ${c.servicio}`,
+            titulo: () => '¡Nueva Cita Registrada!',
+            intro: () => 'Se ha agendado una nueva cita con los siguientes detalles:',
+            cierre: () => 'La cita ha sido guardada en el registro de citas.'
+        },
+        reprogramada: {
+            asunto: (c) => `Cita Reprogramada: ${c.nombre} - ${c.servicio}`,
+            titulo: () => 'Cita Reprogramada',
+            intro: () => 'Una cita ha sido movida a un nuevo horario:',
+            cierre: () => 'El registro de citas ya refleja el nuevo horario.'
+        },
+        cancelada: {
+            asunto: (c) => `Cita Cancelada: ${c.nombre} - ${c.servicio}`,
+            titulo: () => 'Cita Cancelada',
+            intro: () => 'La siguiente cita ha sido cancelada:',
+            cierre: () => 'El horario quedó libre en la agenda.'
+        },
+        recordatorio: {
+            asunto: (c) => `Recordatorio: ${c.nombre} - ${c.servicio} (${c.fecha} ${c.hora})`,
+            titulo: () => 'Próxima Cita',
+            intro: () => 'Recordatorio de una cita próxima:',
+            cierre: () => ''
+        }
+    },
+    cliente: {
+        nueva: {
+            asunto: (c) => `Confirmación de su cita - ${c.fecha} ${c.hora}`,
+            titulo: () => '¡Su cita está confirmada!',
+            intro: (c) => `Hola ${c.nombre}, gracias por agendar con nosotros. Estos son los detalles de su cita:`,
+            cierre: (c, n) => `Para cancelar o reprogramar, responda a este correo${n.telefono ? ` o llame al ${n.telefono}` : ''} indicando su ID de cita ${c.idCita}.`
+        },
+        reprogramada: {
+            asunto: (c) => `Su cita fue reprogramada - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Cita Reprogramada',
+            intro: (c) => `Hola ${c.nombre}, su cita ha sido movida al siguiente horario:`,
+            cierre: (c, n) => `Para cancelar o reprogramar, responda a este correo${n.telefono ? ` o llame al ${n.telefono}` : ''} indicando su ID de cita ${c.idCita}.`
+        },
+        cancelada: {
+            asunto: (c) => `Su cita fue cancelada - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Cita Cancelada',
+            intro: (c) => `Hola ${c.nombre}, le confirmamos que la siguiente cita ha sido cancelada:`,
+            cierre: () => 'Si desea agendar una nueva cita, con gusto le atendemos.'
+        },
+        recordatorio: {
+            asunto: (c) => `Recordatorio de su cita - ${c.fecha} ${c.hora}`,
+            titulo: () => 'Recordatorio de Cita',
+            intro: (c) => `Hola ${c.nombre}, le recordamos su próxima cita:`,
+            cierre: (c, n) => `Si no puede asistir, responda a este correo${n.telefono ? ` o llame al ${n.telefono}` : ''} indicando su ID de cita ${c.idCita}.`
+        }
+    }
+};
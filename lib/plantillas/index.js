@@ -0,0 +1,103 @@
+const { html } = require('./motor');
+
+// --- Plantillas de Correo ---
+// Una plantilla por idioma (es, en) con textos por destinatario (interno, cliente) y por
+// evento (nueva, reprogramada, cancelada, recordatorio). Este módulo arma el HTML con
+// escape automático y la alternativa en texto plano a partir de los mismos datos.
+
+const IDIOMAS = {
+    es: require('./es'),
+    en: require('./en')
+};
+const IDIOMA_POR_DEFECTO = 'es';
+
+const CAMPOS = {
+    interno: ['nombre', 'telefono', 'correo', 'servicio', 'fecha', 'hora', 'idCita', 'recurso', 'industria', 'notas'],
+    cliente: ['servicio', 'fecha', 'hora', 'idCita']
+};
+
+const normalizarIdioma = (idioma) => {
+    const codigo = String(idioma || '').toLowerCase().slice(0, 2);
+    return IDIOMAS[codigo] ? codigo : IDIOMA_POR_DEFECTO;
+};
+
+function valoresDeCampos(cita, negocio, etiquetas) {
+    const opcional = (valor, vacio) => (valor === undefined || valor === null || valor === '') ? vacio : valor;
+    return {
+        nombre: cita.nombre,
+        telefono: opcional(cita.telefono, etiquetas.noProporcionado),
+        correo: opcional(cita.email, etiquetas.noProporcionado),
+        servicio: cita.servicio,
+        fecha: cita.fecha,
+        hora: negocio.zonaHoraria ? `${cita.hora} (${negocio.zonaHoraria})` : cita.hora,
+        idCita: cita.idCita,
+        recurso: opcional(cita.recursoNombre || cita.recurso, etiquetas.sinDato),
+        industria: opcional(cita.industria, etiquetas.sinDato),
+        notas: opcional(cita.notas, etiquetas.sinDato)
+    };
+}
+
+/**
+ * Genera asunto, HTML y texto plano de un correo de cita.
+ * @param {object} opciones
+ * @param {'interno'|'cliente'} opciones.destinatario
+ * @param {'nueva'|'reprogramada'|'cancelada'|'recordatorio'} opciones.evento
+ * @param {string} [opciones.idioma='es'] - Idiomas sin plantilla caen a español.
+ * @param {object} opciones.cita - Datos de la cita (recursoNombre opcional).
+ * @param {{telefono?: string, zonaHoraria?: string}} [opciones.negocio]
+ * @returns {{asunto: string, html: string, texto: string}}
+ */
+function renderizarCorreo({ destinatario, evento, idioma, cita, negocio = {} }) {
+    const plantilla = IDIOMAS[normalizarIdioma(idioma)];
+    const textos = plantilla[destinatario]?.[evento];
+    if (!textos) {
+        throw new Error(`No existe plantilla de correo para ${destinatario}/${evento}.`);
+    }
+
+    const valores = valoresDeCampos(cita, negocio, plantilla.etiquetas);
+    const filas = CAMPOS[destinatario].map(campo => ({ etiqueta: plantilla.etiquetas[campo], valor: valores[campo] }));
+    const titulo = textos.titulo(cita, negocio);
+    const intro = textos.intro(cita, negocio);
+    const cierre = textos.cierre(cita, negocio);
+
+    const cuerpoHtml = html`
+            <div style="font-family: Arial, sans-serif; color: #333;">
+                <h2>${titulo}</h2>
+                <p>${intro}</p>
+                <ul style="list-style-type: none; padding: 0;">
+                    ${filas.map(f => html`<li><strong>${f.etiqueta}:</strong> ${f.valor}</li>
+                    `)}
+                </ul>
+                ${cierre ? html`<p>${cierre}</p>` : ''}
+            </div>
+        `;
+
+    const texto = [
+        titulo,
+        '',
+        intro,
+        '',
+        ...filas.map(f => `${f.etiqueta}: ${f.valor}`),
+        ...(cierre ? ['', cierre] : [])
+    ].join('\n');
+
+    return { asunto: textos.asunto(cita, negocio), html: cuerpoHtml.toString(), texto };
+}
+
+/**
+ * Versión corta de la notificación al cliente para SMS/WhatsApp (texto plano, una línea).
+ * Mismos parámetros que renderizarCorreo, siempre con destinatario 'cliente'.
+ * @returns {string}
+ */
+function renderizarMensajeCorto({ evento, idioma, cita, negocio = {} }) {
+    const plantilla = IDIOMAS[normalizarIdioma(idioma)];
+    const textos = plantilla.cliente[evento];
+    if (!textos) {
+        throw new Error(`No existe plantilla de mensaje para ${evento}.`);
+    }
+    const hora = negocio.zonaHoraria ? `${cita.hora} (${negocio.zonaHoraria})` : cita.hora;
+    const cierre = textos.cierre(cita, negocio);
+    return `${textos.titulo(cita, negocio)} ${cita.servicio}: ${cita.fecha} ${hora}. ${plantilla.etiquetas.idCita}: ${cita.idCita}.${cierre ? ` ${cierre}` : ''}`;
+}
+
+module.exports = { renderizarCorreo, renderizarMensajeCorto, IDIOMAS_SOPORTADOS: Object.keys(IDIOMAS) };
@@ -0,0 +1,59 @@
+const { html, escaparHtml } = require('./motor');
+const { renderizarCorreo } = require('./index');
+
+const MARCADO = '<script>alert("x")</script>';
+
+const cita = {
+    idCita: 'APT-7K2M9Q',
+    nombre: MARCADO,
+    telefono: '+525512345678',
+    email: 'ana@example.com',
+    servicio: 'cita',
+    fecha: '2026-11-03',
+    hora: '10:00',
+    industria: 'Talleres',
+    notas: 'Traer factura & <b>llantas</b>'
+};
+
+describe('html', () => {
+    test('escapa los valores interpolados', () => {
+        expect(html`<p>${MARCADO}</p>`.toString()).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+        expect(html`<p>${"a&b 'c'"}</p>`.toString()).toBe('<p>a&amp;b &#39;c&#39;</p>');
+        expect(html`<p>${null}${undefined}</p>`.toString()).toBe('<p></p>');
+    });
+
+    test('no vuelve a escapar los fragmentos anidados', () => {
+        const negritas = html`<b>${'a&b'}</b>`;
+        expect(html`<p>${negritas}</p>`.toString()).toBe('<p><b>a&amp;b</b></p>');
+        expect(html`<ul>${['<1>', '2'].map(n => html`<li>${n}</li>`)}</ul>`.toString()).toBe('<ul><li>&lt;1&gt;</li><li>2</li></ul>');
+    });
+
+    test('escaparHtml escapa un valor suelto', () => {
+        expect(escaparHtml('<a href="x">')).toBe('&lt;a href=&quot;x&quot;&gt;');
+    });
+});
+
+describe('renderizarCorreo', () => {
+    test('escapa el marcado del nombre y de las notas en el correo interno', () => {
+        const { html: cuerpo, texto } = renderizarCorreo({ destinatario: 'interno', evento: 'nueva', cita });
+        expect(cuerpo).not.toContain('<script>');
+        expect(cuerpo).not.toContain('<b>llantas</b>');
+        expect(cuerpo).toContain('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+        expect(cuerpo).toContain('Traer factura &amp; &lt;b&gt;llantas&lt;/b&gt;');
+        // El texto plano conserva los valores tal cual.
+        expect(texto).toContain(`Notas: ${cita.notas}`);
+    });
+
+    test('escapa el nombre dentro de la introducción del cliente', () => {
+        const { html: cuerpo } = renderizarCorreo({ destinatario: 'cliente', evento: 'nueva', cita });
+        expect(cuerpo).toContain('Hola &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;, gracias');
+        expect(cuerpo).not.toContain('<script>');
+    });
+
+    test('las filas anidadas conservan sus etiquetas y no se escapan dos veces', () => {
+        const { html: cuerpo } = renderizarCorreo({ destinatario: 'interno', evento: 'nueva', cita });
+        expect(cuerpo).toContain('<li><strong>Nombre:</strong> &lt;script&gt;');
+        expect(cuerpo).not.toMatch(/&amp;(lt|gt|amp|quot);/);
+        expect(cuerpo).not.toContain('&lt;li&gt;');
+    });
+});
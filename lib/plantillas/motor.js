@@ -0,0 +1,36 @@
+// --- Motor mínimo de plantillas HTML ---
+// `html` es una etiqueta de template literal que escapa TODO valor interpolado,
+// salvo los fragmentos ya producidos por `html`.
+
+class HtmlSeguro {
+    constructor(valor) {
+        this.valor = valor;
+    }
+
+    toString() {
+        return this.valor;
+    }
+}
+
+const escaparHtml = (valor) => String(valor ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const interpolar = (valor) => {
+    if (valor instanceof HtmlSeguro) return valor.valor;
+    if (Array.isArray(valor)) return valor.map(interpolar).join('');
+    return escaparHtml(valor);
+};
+
+/**
+ * @example html`<p>Hola ${nombre}</p>` // nombre se escapa
+ * @returns {HtmlSeguro}
+ */
+function html(partes, ...valores) {
+    return new HtmlSeguro(partes.reduce((salida, parte, i) => salida + parte + (i < valores.length ? interpolar(valores[i]) : ''), ''));
+}
+
+module.exports = { html, escaparHtml };
@@ -0,0 +1,47 @@
+// --- Recordatorios de Citas ---
+// RECORDATORIOS_HORAS define con cuántas horas de anticipación se recuerda cada cita
+// (por defecto "24,2"). Las marcas ya enviadas se guardan en la propia fila de la cita
+// para no repetirlas aunque el proceso se reinicie o corra en varias instancias.
+
+const HORAS_RECORDATORIO = (process.env.RECORDATORIOS_HORAS || '24,2')
+    .split(',')
+    .map(h => parseFloat(h))
+    .filter(h => h > 0)
+    .sort((a, b) => b - a);
+
+const INTERVALO_MINUTOS = parseInt(process.env.RECORDATORIOS_INTERVALO_MINUTOS, 10) || 15;
+
+const leerMarcas = (valor) => String(valor || '').split(',').filter(Boolean);
+
+/**
+ * Marcas de recordatorio vencidas y aún no enviadas para una cita.
+ * @param {Date} inicio - Inicio de la cita.
+ * @param {Date} ahora
+ * @param {string} enviadas - Valor de la columna de recordatorios, p. ej. "24".
+ * @returns {Array<string>} p. ej. ["24", "2"]; vacío si no toca enviar nada.
+ */
+function marcasVencidas(inicio, ahora, enviadas) {
+    const faltanHoras = (inicio.getTime() - ahora.getTime()) / 3600000;
+    if (faltanHoras <= 0) return [];
+    const yaEnviadas = leerMarcas(enviadas);
+    return HORAS_RECORDATORIO
+        .filter(horas => faltanHoras <= horas)
+        .map(String)
+        .filter(marca => !yaEnviadas.includes(marca));
+}
+
+const agregarMarcas = (enviadas, nuevas) => [...new Set([...leerMarcas(enviadas), ...nuevas])].join(',');
+
+/**
+ * Ejecuta `tarea` cada INTERVALO_MINUTOS sin mantener vivo el proceso.
+ * @returns {NodeJS.Timeout}
+ */
+function iniciarTemporizador(tarea) {
+    const temporizador = setInterval(() => {
+        tarea().catch(error => console.error('Error al procesar recordatorios:', error));
+    }, INTERVALO_MINUTOS * 60000);
+    temporizador.unref();
+    return temporizador;
+}
+
+module.exports = { HORAS_RECORDATORIO, INTERVALO_MINUTOS, marcasVencidas, agregarMarcas, iniciarTemporizador };
@@ -0,0 +1,78 @@
+// --- Citas Recurrentes ---
+// Expande una regla de recurrencia en fechas concretas (YYYY-MM-DD). La primera fecha
+// de la serie es la de la reserva y define el patrón: día de la semana, día del mes
+// o "n-ésimo día de la semana del mes" (p. ej. el primer lunes).
+
+const FRECUENCIAS = ['semanal', 'mensual', 'mensual-dia-semana'];
+const MAX_OCURRENCIAS = 24;
+
+const aFecha = (fecha) => new Date(`${fecha}T00:00:00Z`);
+const aTexto = (d) => d.toISOString().slice(0, 10);
+const diasDelMes = (anio, mes) => new Date(Date.UTC(anio, mes + 1, 0)).getUTCDate();
+
+/**
+ * Día `dia` del mes desplazado `meses` desde `base`; si el mes es más corto
+ * (31 en abril) se usa su último día.
+ */
+function mismoDiaDelMes(base, meses) {
+    const anio = base.getUTCFullYear();
+    const mes = base.getUTCMonth() + meses;
+    const objetivo = new Date(Date.UTC(anio, mes, 1));
+    const dia = Math.min(base.getUTCDate(), diasDelMes(objetivo.getUTCFullYear(), objetivo.getUTCMonth()));
+    return new Date(Date.UTC(objetivo.getUTCFullYear(), objetivo.getUTCMonth(), dia));
+}
+
+/**
+ * Mismo "n-ésimo día de la semana" que `base`, `meses` meses después. La quinta
+ * semana no existe en todos los meses, así que se interpreta como "el último".
+ */
+function mismoDiaDeLaSemana(base, meses) {
+    const semana = Math.ceil(base.getUTCDate() / 7);
+    const diaSemana = base.getUTCDay();
+    const primero = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + meses, 1));
+    const anio = primero.getUTCFullYear();
+    const mes = primero.getUTCMonth();
+    const primerDia = 1 + ((diaSemana - primero.getUTCDay() + 7) % 7);
+    let dia = primerDia + (Math.min(semana, 4) - 1) * 7;
+    if (semana === 5 && dia + 7 <= diasDelMes(anio, mes)) dia += 7;
+    return new Date(Date.UTC(anio, mes, dia));
+}
+
+/**
+ * @param {string} fechaInicial - Primera fecha de la serie (YYYY-MM-DD).
+ * @param {{frecuencia: string, intervalo?: number, repeticiones?: number, hasta?: string}} regla
+ *   `repeticiones` incluye la primera cita; `hasta` es inclusivo. Se aplica el límite
+ *   que llegue primero y nunca más de MAX_OCURRENCIAS.
+ * @returns {Array<string>}
+ */
+function expandirFechas(fechaInicial, { frecuencia, intervalo = 1, repeticiones, hasta }) {
+    const base = aFecha(fechaInicial);
+    const limite = Math.min(repeticiones || MAX_OCURRENCIAS, MAX_OCURRENCIAS);
+    const fechas = [];
+    for (let n = 0; fechas.length < limite; n++) {
+        let fecha;
+        if (frecuencia === 'semanal') fecha = new Date(base.getTime() + n * intervalo * 7 * 86400000);
+        else if (frecuencia === 'mensual') fecha = mismoDiaDelMes(base, n * intervalo);
+        else fecha = mismoDiaDeLaSemana(base, n * intervalo);
+        const texto = aTexto(fecha);
+        if (hasta && texto > hasta) break;
+        fechas.push(texto);
+    }
+    return fechas;
+}
+
+/**
+ * Descripción corta de la regla para mensajes, p. ej. "cada 2 semanas" o "el primer lunes de cada mes".
+ */
+function describirRecurrencia(fechaInicial, { frecuencia, intervalo = 1 }) {
+    const base = aFecha(fechaInicial);
+    const cada = (singular, plural) => intervalo === 1 ? `cada ${singular}` : `cada ${intervalo} ${plural}`;
+    if (frecuencia === 'semanal') return cada('semana', 'semanas');
+    if (frecuencia === 'mensual') return `el día ${base.getUTCDate()} de ${cada('mes', 'meses')}`;
+    const ordinales = ['primer', 'segundo', 'tercer', 'cuarto', 'último'];
+    const dias = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+    const semana = Math.min(Math.ceil(base.getUTCDate() / 7), 5);
+    return `el ${ordinales[semana - 1]} ${dias[base.getUTCDay()]} de ${cada('mes', 'meses')}`;
+}
+
+module.exports = { FRECUENCIAS, MAX_OCURRENCIAS, expandirFechas, describirRecurrencia };
@@ -0,0 +1,63 @@
+const { expandirFechas, describirRecurrencia, MAX_OCURRENCIAS } = require('./recurrencia');
+
+describe('expandirFechas mensual', () => {
+    test('el día 31 cae en el último día de los meses cortos', () => {
+        expect(expandirFechas('2026-01-31', { frecuencia: 'mensual', repeticiones: 5 }))
+            .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+    });
+
+    test('respeta los años bisiestos', () => {
+        expect(expandirFechas('2024-01-31', { frecuencia: 'mensual', repeticiones: 3 }))
+            .toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+    });
+
+    test('con intervalo cruza el fin de año sin arrastrar el recorte de febrero', () => {
+        expect(expandirFechas('2026-11-30', { frecuencia: 'mensual', intervalo: 3, repeticiones: 4 }))
+            .toEqual(['2026-11-30', '2027-02-28', '2027-05-30', '2027-08-30']);
+    });
+});
+
+describe('expandirFechas mensual-dia-semana', () => {
+    test('el primer lunes de cada mes, cruzando el año', () => {
+        expect(expandirFechas('2026-11-02', { frecuencia: 'mensual-dia-semana', repeticiones: 4 }))
+            .toEqual(['2026-11-02', '2026-12-07', '2027-01-04', '2027-02-01']);
+    });
+
+    test('la quinta semana se interpreta como el último día de la semana del mes', () => {
+        // 2026-10-30 es el quinto viernes; noviembre y diciembre solo tienen cuatro.
+        expect(expandirFechas('2026-10-30', { frecuencia: 'mensual-dia-semana', repeticiones: 4 }))
+            .toEqual(['2026-10-30', '2026-11-27', '2026-12-25', '2027-01-29']);
+        expect(expandirFechas('2026-01-29', { frecuencia: 'mensual-dia-semana', repeticiones: 3 }))
+            .toEqual(['2026-01-29', '2026-02-26', '2026-03-26']);
+    });
+
+    test('el cuarto día de la semana no se convierte en el último', () => {
+        // 2026-03-26 es el cuarto jueves; abril de 2026 tiene cinco jueves.
+        expect(expandirFechas('2026-03-26', { frecuencia: 'mensual-dia-semana', repeticiones: 2 }))
+            .toEqual(['2026-03-26', '2026-04-23']);
+    });
+});
+
+describe('expandirFechas límites', () => {
+    test('semanal cruza el fin de año', () => {
+        expect(expandirFechas('2026-12-28', { frecuencia: 'semanal', repeticiones: 3 }))
+            .toEqual(['2026-12-28', '2027-01-04', '2027-01-11']);
+    });
+
+    test('hasta es inclusivo', () => {
+        expect(expandirFechas('2026-01-05', { frecuencia: 'semanal', hasta: '2026-01-26' }))
+            .toEqual(['2026-01-05', '2026-01-12', '2026-01-19', '2026-01-26']);
+    });
+
+    test('nunca pasa de MAX_OCURRENCIAS', () => {
+        expect(expandirFechas('2026-01-05', { frecuencia: 'semanal' })).toHaveLength(MAX_OCURRENCIAS);
+        expect(expandirFechas('2026-01-05', { frecuencia: 'mensual', repeticiones: 100 })).toHaveLength(MAX_OCURRENCIAS);
+    });
+});
+
+test('describirRecurrencia', () => {
+    expect(describirRecurrencia('2026-11-02', { frecuencia: 'mensual-dia-semana' })).toBe('el primer lunes de cada mes');
+    expect(describirRecurrencia('2026-10-30', { frecuencia: 'mensual-dia-semana' })).toBe('el último viernes de cada mes');
+    expect(describirRecurrencia('2026-01-31', { frecuencia: 'mensual', intervalo: 2 })).toBe('el día 31 de cada 2 meses');
+    expect(describirRecurrencia('2026-01-05', { frecuencia: 'semanal' })).toBe('cada semana');
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Recursos Agendables ---
+// Personal, bahías o salas definidos en config/recursos.json (o RECURSOS_ARCHIVO).
+// Cada recurso tiene su propia agenda: id, nombre, tipo y servicios[] que puede atender
+// (vacío = todos). El primer recurso recibe las citas antiguas que no tienen recurso asignado.
+
+const RUTA_RECURSOS = path.resolve(process.env.RECURSOS_ARCHIVO || path.join(__dirname, '..', 'config', 'recursos.json'));
+
+function cargarRecursos(ruta = RUTA_RECURSOS) {
+    const recursos = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    if (!Array.isArray(recursos) || recursos.length === 0) {
+        throw new Error(`La lista de recursos ${ruta} debe ser un arreglo no vacío.`);
+    }
+    const ids = new Set();
+    return recursos.map((recurso, i) => {
+        if (!recurso.id) throw new Error(`Recurso #${i + 1} en ${ruta}: "id" es obligatorio.`);
+        if (ids.has(recurso.id)) throw new Error(`Recurso duplicado en ${ruta}: "${recurso.id}".`);
+        ids.add(recurso.id);
+        return {
+            id: String(recurso.id),
+            nombre: recurso.nombre || String(recurso.id),
+            tipo: recurso.tipo || 'personal',
+            servicios: recurso.servicios || []
+        };
+    });
+}
+
+const recursos = cargarRecursos();
+
+const RECURSO_POR_DEFECTO = recursos[0].id;
+
+const listarRecursos = () => recursos;
+
+const buscarRecurso = (id) => recursos.find(r => r.id.toLowerCase() === String(id || '').toLowerCase()) || null;
+
+/**
+ * IDs de los recursos que pueden atender un servicio, en el orden de la configuración.
+ * @param {string} nombreServicio - Nombre canónico del catálogo de servicios.
+ */
+const recursosParaServicio = (nombreServicio) => recursos
+    .filter(r => r.servicios.length === 0 || r.servicios.includes(nombreServicio))
+    .map(r => r.id);
+
+module.exports = { RECURSO_POR_DEFECTO, listarRecursos, buscarRecurso, recursosParaServicio };
@@ -0,0 +1,27 @@
+// --- Helper para respuestas estandarizadas ---
+const responder = (res, statusCode, title, rawData) => {
+    let message = rawData.mensaje || 'Operación completada.';
+    if (rawData.sugerencias && rawData.sugerencias.length > 0) {
+        message = `${message}\n\n**Horas alternativas sugeridas:**\n${rawData.sugerencias.join(', ')}`;
+    } else if (rawData.sugerencias) {
+        message = `${message}\n\nNo se encontraron otras horas disponibles en esta fecha.`;
+    }
+
+    const response = {
+        raw: {
+            status: statusCode >= 400 ? 'error' : 'exito',
+            ...rawData
+        },
+        markdown: `**${title}**\n\n${message}`,
+        type: "markdown",
+        desc: `**${title}**\n\n${message}`
+    };
+    res.status(statusCode).json(response);
+};
+
+/**
+ * Valor seguro para una celda de tabla markdown: sin saltos de línea ni "|" sin escapar.
+ */
+const celda = (valor) => String(valor === null || valor === undefined || valor === '' ? '-' : valor).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+module.exports = { responder, celda };
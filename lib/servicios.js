@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizarTexto: normalizar } = require('./validacion');
+
+// --- Catálogo de Servicios ---
+// Se lee de config/servicios.json (o SERVICIOS_ARCHIVO). Cada servicio define:
+//   nombre, alias[], duracionMinutos, bufferMinutos (tiempo muerto tras la cita) y precio.
+
+const RUTA_CATALOGO = path.resolve(process.env.SERVICIOS_ARCHIVO || path.join(__dirname, '..', 'config', 'servicios.json'));
+
+// Duración para filas antiguas cuyo servicio ya no existe en el catálogo.
+const DURACION_POR_DEFECTO = 30;
+
+function cargarCatalogo(ruta = RUTA_CATALOGO) {
+    const servicios = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    if (!Array.isArray(servicios) || servicios.length === 0) {
+        throw new Error(`El catálogo de servicios ${ruta} debe ser un arreglo no vacío.`);
+    }
+    return servicios.map((servicio, i) => {
+        if (!servicio.nombre || !(servicio.duracionMinutos > 0)) {
+            throw new Error(`Servicio #${i + 1} en ${ruta}: "nombre" y "duracionMinutos" (> 0) son obligatorios.`);
+        }
+        return {
+            nombre: servicio.nombre,
+            alias: servicio.alias || [],
+            duracionMinutos: Number(servicio.duracionMinutos),
+            bufferMinutos: Number(servicio.bufferMinutos) || 0,
+            precio: servicio.precio ?? null
+        };
+    });
+}
+
+const catalogo = cargarCatalogo();
+
+const indice = new Map();
+catalogo.forEach(servicio => {
+    [servicio.nombre, ...servicio.alias].forEach(clave => indice.set(normalizar(clave), servicio));
+});
+
+/**
+ * Busca un servicio por nombre o alias (sin distinguir mayúsculas ni acentos).
+ * @returns {object|null}
+ */
+const buscarServicio = (texto) => indice.get(normalizar(texto)) || null;
+
+/**
+ * Minutos que un servicio ocupa en la agenda: duración más buffer.
+ * @param {string} texto - Nombre o alias del servicio.
+ */
+function minutosBloqueados(texto) {
+    const servicio = buscarServicio(texto);
+    return servicio ? servicio.duracionMinutos + servicio.bufferMinutos : DURACION_POR_DEFECTO;
+}
+
+const listarServicios = () => catalogo;
+
+module.exports = { buscarServicio, minutosBloqueados, listarServicios };
@@ -0,0 +1,131 @@
+// --- Validación Declarativa ---
+// Cada esquema describe sus campos con un tipo y restricciones; `validar` devuelve
+// los valores ya normalizados o la lista de errores por campo, nunca ambos.
+
+/**
+ * Convierte un teléfono a E.164. Los números de 10 dígitos sin lada internacional
+ * se asumen mexicanos; el antiguo prefijo de celular "1" (+52 1 ...) se descarta.
+ * @param {string} telefono
+ * @returns {string|null} El número normalizado, o null si no es válido.
+ */
+function telefonoAE164(telefono) {
+    const texto = String(telefono || '').trim();
+    if (!/^\+?[\d\s().-]+$/.test(texto)) return null;
+    const digitos = texto.replace(/\D/g, '');
+    const internacional = texto.startsWith('+') || texto.startsWith('00');
+
+    if (!internacional && digitos.length === 10) return `+52${digitos}`;
+    const sinPrefijo = texto.startsWith('00') ? digitos.slice(2) : digitos;
+    if (/^521\d{10}$/.test(sinPrefijo)) return `+52${sinPrefijo.slice(3)}`;
+    if (/^52\d{10}$/.test(sinPrefijo)) return `+${sinPrefijo}`;
+    // Con lada 52 solo valen los 10 dígitos mexicanos de arriba.
+    if (sinPrefijo.startsWith('52')) return null;
+    if (internacional && /^[1-9]\d{7,14}$/.test(sinPrefijo)) return `+${sinPrefijo}`;
+    return null;
+}
+
+/**
+ * Texto en minúsculas, sin acentos ni espacios extremos, para comparaciones tolerantes.
+ */
+const normalizarTexto = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+const esFechaIso = (valor) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(valor)) return false;
+    const fecha = new Date(`${valor}T00:00:00Z`);
+    // Descarta fechas que Date "corrige", como 2025-02-30.
+    return !isNaN(fecha.getTime()) && fecha.toISOString().slice(0, 10) === valor;
+};
+
+const esHora = (valor) => /^([01]\d|2[0-3]):[0-5]\d$/.test(valor);
+
+const esEmail = (valor) => valor.length <= 254 && /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(valor);
+
+const fueraDeRango = (numero, regla) => {
+    if (regla.min !== undefined && numero < regla.min) return { error: `debe ser mayor o igual a ${regla.min}` };
+    if (regla.max !== undefined && numero > regla.max) return { error: `debe ser menor o igual a ${regla.max}` };
+    return null;
+};
+
+// Cada tipo recibe el valor ya recortado y devuelve { valor } o { error }.
+const TIPOS = {
+    texto: (valor, regla) => {
+        if (typeof valor !== 'string' && typeof valor !== 'number') return { error: 'debe ser texto' };
+        const texto = String(valor).trim();
+        if (regla.maxLongitud && texto.length > regla.maxLongitud) {
+            return { error: `no debe exceder ${regla.maxLongitud} caracteres` };
+        }
+        return { valor: texto };
+    },
+    entero: (valor, regla) => {
+        const numero = typeof valor === 'number' ? valor : Number(String(valor).trim());
+        if (!Number.isInteger(numero)) return { error: 'debe ser un número entero' };
+        return fueraDeRango(numero, regla) || { valor: numero };
+    },
+    numero: (valor, regla) => {
+        const numero = typeof valor === 'number' ? valor : Number(String(valor).trim());
+        if (!Number.isFinite(numero)) return { error: 'debe ser un número' };
+        return fueraDeRango(numero, regla) || { valor: numero };
+    },
+    fecha: (valor) => esFechaIso(String(valor).trim())
+        ? { valor: String(valor).trim() }
+        : { error: 'debe ser una fecha válida con formato YYYY-MM-DD' },
+    hora: (valor) => {
+        // Se aceptan horas de un dígito ("9:30") y se devuelven con dos ("09:30").
+        const hora = String(valor).trim().replace(/^(\d):/, '0$1:');
+        return esHora(hora) ? { valor: hora } : { error: 'debe ser una hora válida con formato HH:mm (00:00 a 23:59)' };
+    },
+    telefono: (valor) => {
+        const telefono = telefonoAE164(valor);
+        return telefono ? { valor: telefono } : { error: 'debe ser un teléfono válido de 10 dígitos o con lada internacional (+52...)' };
+    },
+    email: (valor) => {
+        const email = String(valor).trim().toLowerCase();
+        return esEmail(email) ? { valor: email } : { error: 'debe ser un correo electrónico válido' };
+    },
+    opcion: (valor, regla) => {
+        const opcion = String(valor).trim().toLowerCase();
+        return regla.opciones.includes(opcion) ? { valor: opcion } : { error: `debe ser uno de: ${regla.opciones.join(', ')}` };
+    }
+};
+
+const estaVacio = (valor) => valor === undefined || valor === null || (typeof valor === 'string' && valor.trim() === '');
+
+/**
+ * Valida y normaliza `datos` según `esquema`.
+ * Reglas por campo: { tipo, requerido, maxLongitud, min, max, opciones, defecto, validar }.
+ * `validar(valor)` es una verificación adicional que devuelve un mensaje de error o nada.
+ * Los campos que no están en el esquema se ignoran.
+ * @returns {{ valores: Object, errores: Array<{campo: string, mensaje: string}> }}
+ */
+function validar(esquema, datos = {}) {
+    const valores = {};
+    const errores = [];
+    for (const [campo, regla] of Object.entries(esquema)) {
+        const entrada = datos[campo];
+        if (estaVacio(entrada)) {
+            if (regla.requerido) errores.push({ campo, mensaje: 'es obligatorio' });
+            else valores[campo] = regla.defecto !== undefined ? regla.defecto : null;
+            continue;
+        }
+        const { valor, error } = TIPOS[regla.tipo](entrada, regla);
+        const mensaje = error || (regla.validar && regla.validar(valor));
+        if (mensaje) errores.push({ campo, mensaje });
+        else valores[campo] = valor;
+    }
+    return { valores, errores };
+}
+
+/**
+ * Datos para `responder` con un error de validación por campo.
+ * @param {Array<{campo: string, mensaje: string}>} errores
+ */
+const datosErrorValidacion = (errores) => ({
+    mensaje: `La solicitud tiene datos inválidos:\n${errores.map(e => `- **${e.campo}**: ${e.mensaje}`).join('\n')}`,
+    errores
+});
+
+module.exports = { validar, datosErrorValidacion, telefonoAE164, normalizarTexto, esFechaIso, esHora, esEmail };
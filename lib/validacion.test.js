@@ -0,0 +1,62 @@
+const { telefonoAE164, validar } = require('./validacion');
+
+describe('telefonoAE164', () => {
+    test.each([
+        ['5512345678', '+525512345678'],
+        ['55 1234 5678', '+525512345678'],
+        ['(55) 1234-5678', '+525512345678'],
+        ['55.1234.5678', '+525512345678'],
+        ['+52 55 1234 5678', '+525512345678'],
+        ['525512345678', '+525512345678'],
+        ['0052 55 1234 5678', '+525512345678']
+    ])('normaliza el número mexicano %s', (entrada, esperado) => {
+        expect(telefonoAE164(entrada)).toBe(esperado);
+    });
+
+    test.each([
+        ['+52 1 55 1234 5678'],
+        ['5215512345678'],
+        ['00 521 55 1234 5678']
+    ])('descarta el antiguo prefijo de celular en %s', (entrada) => {
+        expect(telefonoAE164(entrada)).toBe('+525512345678');
+    });
+
+    test('acepta números internacionales con lada', () => {
+        expect(telefonoAE164('+1 415 555 0100')).toBe('+14155550100');
+        expect(telefonoAE164('0044 20 7946 0958')).toBe('+442079460958');
+    });
+
+    test.each([
+        [''],
+        [null],
+        ['12345'],
+        ['55 1234 567'],
+        ['55-1234-567a'],
+        ['+52 55 1234 567'],
+        ['+52 55 1234 56789'],
+        ['4155550100 ext 2'],
+        ['+0 123 456 789']
+    ])('rechaza %p', (entrada) => {
+        expect(telefonoAE164(entrada)).toBeNull();
+    });
+});
+
+describe('validar', () => {
+    test('normaliza el teléfono dentro de un esquema', () => {
+        const { valores, errores } = validar({ telefono: { tipo: 'telefono', requerido: true } }, { telefono: '(55) 1234-5678' });
+        expect(errores).toEqual([]);
+        expect(valores.telefono).toBe('+525512345678');
+    });
+
+    test('reporta el teléfono inválido como error del campo', () => {
+        const { errores } = validar({ telefono: { tipo: 'telefono' } }, { telefono: '123' });
+        expect(errores).toEqual([{ campo: 'telefono', mensaje: expect.stringContaining('teléfono válido') }]);
+    });
+
+    test('numero acepta decimales y respeta el mínimo', () => {
+        const esquema = { precio: { tipo: 'numero', min: 0 } };
+        expect(validar(esquema, { precio: '1000.5' }).valores.precio).toBe(1000.5);
+        expect(validar(esquema, { precio: -1 }).errores).toHaveLength(1);
+        expect(validar(esquema, { precio: 'abc' }).errores).toHaveLength(1);
+    });
+});
@@ -0,0 +1,88 @@
+// --- Zona Horaria del Negocio ---
+// Las fechas y horas de las citas son "hora de pared" en ZONA_HORARIA (por defecto Ciudad de México),
+// sin importar la zona del servidor (Vercel corre en UTC). Sólo usa Intl, sin dependencias.
+
+const ZONA_HORARIA = process.env.ZONA_HORARIA || 'America/Mexico_City';
+
+const formateadores = new Map();
+const obtenerFormateador = (zona) => {
+    if (!formateadores.has(zona)) {
+        formateadores.set(zona, new Intl.DateTimeFormat('en-US', {
+            timeZone: zona, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    return formateadores.get(zona);
+};
+
+const partesEnZona = (instante, zona) => {
+    const partes = {};
+    obtenerFormateador(zona).formatToParts(instante).forEach(({ type, value }) => { partes[type] = value; });
+    return partes;
+};
+
+/**
+ * Indica si `zona` es un identificador IANA válido (p. ej. "America/Tijuana").
+ */
+function esZonaValida(zona) {
+    try {
+        obtenerFormateador(zona);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Minutos que la zona está adelantada respecto a UTC en ese instante (negativo en México).
+function desplazamientoMinutos(instante, zona) {
+    const p = partesEnZona(instante, zona);
+    const comoUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return Math.round((comoUTC - Math.floor(instante.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convierte una fecha y hora de pared en `zona` al instante UTC correspondiente.
+ * @param {string} fecha - YYYY-MM-DD
+ * @param {string} hora - HH:mm
+ * @param {string} [zona=ZONA_HORARIA]
+ * @returns {Date} Fecha inválida si el formato no se puede interpretar.
+ */
+function aInstante(fecha, hora, zona = ZONA_HORARIA) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha || '') || !/^\d{2}:\d{2}$/.test(hora || '')) return new Date(NaN);
+    const base = new Date(`${fecha}T${hora}:00Z`).getTime();
+    if (isNaN(base)) return new Date(NaN);
+    // Cerca de un cambio de horario la hora puede usar el desplazamiento de antes o el de
+    // después. Si ambos la dan (se repite al atrasar el reloj) gana la primera; si ninguno
+    // (no existe al adelantarlo) se usa la más tardía, p. ej. 02:30 → 03:30.
+    const desplazamientos = [base - 86400000, base + 86400000].map(t => desplazamientoMinutos(new Date(t), zona));
+    const candidatos = [...new Set(desplazamientos)].map(minutos => new Date(base - minutos * 60000));
+    const exactos = candidatos.filter(instante => {
+        const enPared = enZona(instante, zona);
+        return enPared.fecha === fecha && enPared.hora === hora;
+    });
+    const tiempos = (exactos.length > 0 ? exactos : candidatos).map(instante => instante.getTime());
+    return new Date(exactos.length > 0 ? Math.min(...tiempos) : Math.max(...tiempos));
+}
+
+/**
+ * Expresa un instante como fecha y hora de pared en `zona`.
+ * @returns {{fecha: string, hora: string}}
+ */
+function enZona(instante, zona = ZONA_HORARIA) {
+    const p = partesEnZona(instante, zona);
+    return { fecha: `${p.year}-${p.month}-${p.day}`, hora: `${p.hour}:${p.minute}` };
+}
+
+/**
+ * ISO 8601 con el desplazamiento de la zona, p. ej. "2025-07-01T10:00:00-06:00".
+ */
+function aIsoConZona(instante, zona = ZONA_HORARIA) {
+    const { fecha, hora } = enZona(instante, zona);
+    const minutos = desplazamientoMinutos(instante, zona);
+    const signo = minutos < 0 ? '-' : '+';
+    const abs = Math.abs(minutos);
+    return `${fecha}T${hora}:00${signo}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+module.exports = { ZONA_HORARIA, esZonaValida, aInstante, enZona, aIsoConZona };
@@ -0,0 +1,60 @@
+const { aInstante, enZona, aIsoConZona, esZonaValida } = require('./zonaHoraria');
+
+describe('aInstante', () => {
+    test('Ciudad de México ya no cambia de horario (UTC-6 todo el año)', () => {
+        expect(aInstante('2026-01-15', '10:00', 'America/Mexico_City').toISOString()).toBe('2026-01-15T16:00:00.000Z');
+        // Primer domingo de abril: el antiguo inicio del horario de verano.
+        expect(aInstante('2026-04-05', '10:00', 'America/Mexico_City').toISOString()).toBe('2026-04-05T16:00:00.000Z');
+    });
+
+    test('usa el desplazamiento del día en zonas con horario de verano', () => {
+        expect(aInstante('2026-03-07', '10:00', 'America/Tijuana').toISOString()).toBe('2026-03-07T18:00:00.000Z');
+        expect(aInstante('2026-03-08', '10:00', 'America/Tijuana').toISOString()).toBe('2026-03-08T17:00:00.000Z');
+    });
+
+    test('alrededor del adelanto de reloj', () => {
+        expect(aInstante('2026-03-08', '01:30', 'America/New_York').toISOString()).toBe('2026-03-08T06:30:00.000Z');
+        expect(aInstante('2026-03-08', '03:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    test('una hora que no existe se recorre hacia adelante', () => {
+        expect(aIsoConZona(aInstante('2026-03-08', '02:30', 'America/New_York'), 'America/New_York')).toBe('2026-03-08T03:30:00-04:00');
+        expect(aIsoConZona(aInstante('2026-03-29', '02:30', 'Europe/Berlin'), 'Europe/Berlin')).toBe('2026-03-29T03:30:00+02:00');
+    });
+
+    test('una hora repetida al atrasar el reloj toma la primera', () => {
+        expect(aIsoConZona(aInstante('2026-11-01', '01:30', 'America/New_York'), 'America/New_York')).toBe('2026-11-01T01:30:00-04:00');
+        expect(aIsoConZona(aInstante('2026-10-25', '02:30', 'Europe/Berlin'), 'Europe/Berlin')).toBe('2026-10-25T02:30:00+02:00');
+    });
+
+    test('cambia de día en UTC cuando corresponde', () => {
+        expect(aInstante('2026-12-31', '23:30', 'America/Mexico_City').toISOString()).toBe('2027-01-01T05:30:00.000Z');
+        expect(aInstante('2026-06-01', '00:00', 'Asia/Kolkata').toISOString()).toBe('2026-05-31T18:30:00.000Z');
+    });
+
+    test('devuelve una fecha inválida con formatos incorrectos', () => {
+        expect(aInstante('2026-1-5', '10:00').getTime()).toBeNaN();
+        expect(aInstante('2026-01-05', '9:00').getTime()).toBeNaN();
+        expect(aInstante(undefined, undefined).getTime()).toBeNaN();
+    });
+});
+
+describe('enZona y aIsoConZona', () => {
+    test('expresan un instante en la hora de pared de la zona', () => {
+        const instante = new Date('2026-11-01T06:30:00Z');
+        expect(enZona(instante, 'America/New_York')).toEqual({ fecha: '2026-11-01', hora: '01:30' });
+        expect(aIsoConZona(instante, 'America/New_York')).toBe('2026-11-01T01:30:00-05:00');
+        expect(enZona(instante, 'America/Mexico_City')).toEqual({ fecha: '2026-11-01', hora: '00:30' });
+    });
+
+    test('ida y vuelta conserva la fecha y la hora', () => {
+        for (const zona of ['America/Mexico_City', 'America/Tijuana', 'America/Cancun']) {
+            expect(enZona(aInstante('2026-07-15', '14:45', zona), zona)).toEqual({ fecha: '2026-07-15', hora: '14:45' });
+        }
+    });
+});
+
+test('esZonaValida acepta solo identificadores IANA', () => {
+    expect(esZonaValida('America/Tijuana')).toBe(true);
+    expect(esZonaValida('Mars/Base')).toBe(false);
+});
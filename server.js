@@ -3,157 +3,438 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { google } = require("googleapis");
-const nodemailer = require('nodemailer'); // Importamos Nodemailer
+const almacenamiento = require('./lib/almacenamiento');
+const { responder, celda } = require('./lib/responder');
+const { requiereToken } = require('./lib/autenticacion');
+const { generarCalendario } = require('./lib/ics');
+const { IDIOMAS_SOPORTADOS } = require('./lib/plantillas');
+const notificaciones = require('./lib/notificaciones');
+const recordatorios = require('./lib/recordatorios');
+const { conBloqueo } = require('./lib/bloqueo');
+const { generarIdCita, generarIdSerie, normalizarIdCita } = require('./lib/identificadores');
+const { buscarServicio, minutosBloqueados, listarServicios } = require('./lib/servicios');
+const { ZONA_HORARIA, esZonaValida, aInstante, enZona, aIsoConZona } = require('./lib/zonaHoraria');
+const { RECURSO_POR_DEFECTO, listarRecursos, buscarRecurso, recursosParaServicio } = require('./lib/recursos');
+const { validar, datosErrorValidacion, esFechaIso, telefonoAE164, normalizarTexto } = require('./lib/validacion');
+const calendarioNegocio = require('./lib/calendario');
+const { generarCsv, generarXlsx, TIPOS_CONTENIDO } = require('./lib/exportacion');
+const { FRECUENCIAS, MAX_OCURRENCIAS, expandirFechas, describirRecurrencia } = require('./lib/recurrencia');
+const rutasListaPrecios = require('./lib/listaPrecios/rutas');
 require('dotenv').config();
 
 const app = express();
 app.set('trust proxy', 1);
 const PORT = process.env.PORT || 3000;
 
-// --- Configuración de Nodemailer ---
-// Creamos un "transporter" que se encargará de enviar los correos.
-// Usaremos Gmail como ejemplo. ¡Asegúrate de configurar esto en tu .env!
+// --- Notificaciones ---
+// Los canales (correo, webhook, SMS/WhatsApp, consola) se configuran en lib/notificaciones.
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER || 'tuemail@gmail.com',
-    pass: process.env.EMAIL_PASS || 'tu_contraseña_de_aplicacion'
-  }
-});
-transporter.verify((error, success) => {
-  if (error) {
-    console.log('❌ Error conectando con Gmail:', error);
-  } else {
-    console.log('✅ Conexión con Gmail establecida correctamente');
-  }
-});
+/**
+ * Notifica un evento de cita por todos los canales habilitados.
+ * @param {object} datosCita - Objeto con los detalles de la cita.
+ * @param {'nueva'|'reprogramada'|'cancelada'|'recordatorio'} [evento='nueva'] - Tipo de evento a notificar.
+ */
+function notificarCita(datosCita, evento = 'nueva') {
+    const metodo = evento === 'cancelada' ? 'CANCEL' : 'PUBLISH';
+    return notificaciones.notificar({
+        evento,
+        cita: { ...datosCita, recursoNombre: nombreRecurso(datosCita.recurso) },
+        negocio: { telefono: process.env.NEGOCIO_TELEFONO, zonaHoraria: ZONA_HORARIA },
+        ics: { metodo, contenido: generarCalendario([citaAEventoIcs(datosCita, evento)], { metodo }) }
+    });
+}
 
+/**
+ * Describe el estado real de las entregas devueltas por notificarCita.
+ * @param {Array<{canal: string, ok: boolean, estado: string}>} entregas
+ */
+function resumenNotificaciones(entregas) {
+    if (entregas.length === 0) return 'No hay canales de notificación configurados.';
+    const fallidas = entregas.filter(e => !e.ok);
+    if (fallidas.length === 0) return 'Se ha enviado una notificación.';
+    const enviadas = entregas.length - fallidas.length;
+    const reintento = fallidas.every(f => f.estado === 'pendiente') ? '; se reintentará automáticamente' : '';
+    const pendiente = `No se pudo notificar por ${fallidas.map(f => f.canal).join(', ')}${reintento}.`;
+    return enviadas ? `Se enviaron ${enviadas} de ${entregas.length} notificaciones. ${pendiente}` : pendiente;
+}
 
-// --- Configuración de Google Sheets ---
-const GOOGLE_SHEETS_CREDENTIALS = {
-    "type": "service_account",
-    "project_id": process.env.GOOGLE_PROJECT_ID,
-    "private_key_id": process.env.GOOGLE_PRIVATE_KEY_ID,
-    "private_key": process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, "\n"),
-    "client_email": process.env.GOOGLE_CLIENT_EMAIL,
-    "client_id": process.env.GOOGLE_CLIENT_ID,
-    "auth_uri": "https://accounts.google.com/o/oauth2/auth",
-    "token_uri": "https://oauth2.googleapis.com/token",
-    "auth_provider_x509_cert_url": "https://www.googleapis.com/oauth2/v1/certs",
-    "client_x509_cert_url": process.env.GOOGLE_CLIENT_X509_CERT_URL,
-    "universe_domain": "googleapis.com"
-};
 
-const SHEET_ID_CITAS = process.env.SHEET_ID_CITAS;
-const SHEET_NAME_CITAS = process.env.SHEET_NAME_CITAS || 'Citas';
+// --- Helpers de Almacenamiento de Citas ---
+// Delegan en el backend elegido con CITAS_STORAGE (Google Sheets o archivo JSON local).
+// Columnas A:R: A-J son los datos originales de la cita (fecha/hora en ZONA_HORARIA),
+// K guarda su estado, L el inicio como ISO 8601 con desplazamiento, M el recurso asignado,
+// N el correo del cliente, O su idioma (es/en) para las notificaciones, P las marcas
+// de recordatorio ya enviadas (p. ej. "24,2"), Q el ID de serie de las citas recurrentes
+// y R cuántas veces se ha modificado (la SEQUENCE de su evento iCalendar).
+const COLUMNA_ESTADO = 10;
+const COLUMNA_INICIO = 11;
+const COLUMNA_RECURSO = 12;
+const COLUMNA_EMAIL = 13;
+const COLUMNA_IDIOMA = 14;
+const COLUMNA_RECORDATORIOS = 15;
+const COLUMNA_SERIE = 16;
+const COLUMNA_SECUENCIA = 17;
+const ESTADO_CANCELADA = 'cancelada';
+// Cita que perdió el horario frente a una solicitud simultánea; se conserva para auditoría.
+const ESTADO_RECHAZADA = 'rechazada';
+const ESTADOS_INACTIVOS = [ESTADO_CANCELADA, ESTADO_RECHAZADA];
 
-const auth = new google.auth.GoogleAuth({
-    credentials: GOOGLE_SHEETS_CREDENTIALS,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-});
+async function obtenerCitas() {
+    try {
+        return await almacenamiento.obtenerCitas();
+    } catch (error) {
+        console.error('Error al leer las citas:', error);
+        throw new Error('No se pudieron obtener las citas.');
+    }
+}
+
+async function agregarFila(valores) {
+    try {
+        await almacenamiento.agregarFila(valores);
+        return true;
+    } catch (error) {
+        console.error('Error al agregar la fila:', error);
+        throw new Error('No se pudo guardar la cita.');
+    }
+}
 
-// --- HELPER MODIFICADO: Enviar Correo a un Destinatario Fijo ---
 /**
- * Envía un correo electrónico de notificación de nueva cita a un destinatario predefinido.
- * @param {object} datosCita - Objeto con los detalles de la cita.
+ * Sobrescribe una cita existente.
+ * @param {number} numeroFila - Número de fila (1 es el encabezado).
+ * @param {Array<string>} valores - Valores de las columnas A:R.
  */
-async function enviarCorreoConfirmacion(datosCita) {
-    const recipientEmail = process.env.RECIPIENT_EMAIL;
-    if (!recipientEmail) {
-        console.warn(`ADVERTENCIA: La variable de entorno RECIPIENT_EMAIL no está definida. El correo no será enviado.`);
-        return;
-    }
-
-    // Contenido del correo en HTML para un formato más atractivo
-    const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: recipientEmail, // El destinatario ahora es fijo
-        subject: `Nueva Cita Agendada: ${datosCita.nombre} - ${datosCita.servicio}`,
-        html: `
-            <div style="font-family: Arial, sans-serif; color: #333;">
-                <h2>¡Nueva Cita Registrada!</h2>
-                <p>Se ha agendado una nueva cita con los siguientes detalles:</p>
-                <ul style="list-style-type: none; padding: 0;">
-                    <li><strong>Nombre:</strong> ${datosCita.nombre}</li>
-                    <li><strong>Teléfono:</strong> ${datosCita.telefono || 'No proporcionado'}</li>
-                    <li><strong>Servicio:</strong> ${datosCita.servicio}</li>
-                    <li><strong>Fecha:</strong> ${datosCita.fecha}</li>
-                    <li><strong>Hora:</strong> ${datosCita.hora}</li>
-                    <li><strong>ID de Cita:</strong> ${datosCita.idCita}</li>
-                    <li><strong>Industria:</strong> ${datosCita.industria || 'N/A'}</li>
-                    <li><strong>Notas:</strong> ${datosCita.notas || 'N/A'}</li>
-                </ul>
-                <p>La cita ha sido guardada en Google Sheets.</p>
-            </div>
-        `
-    };
-
+async function actualizarFila(numeroFila, valores) {
     try {
-        await transporter.sendMail(mailOptions);
-        console.log(`Correo de notificación para la cita ${datosCita.idCita} enviado a ${recipientEmail}.`);
+        await almacenamiento.actualizarFila(numeroFila, valores);
+        return true;
     } catch (error) {
-        console.error('Error al enviar el correo de notificación:', error);
+        console.error('Error al actualizar la fila:', error);
+        throw new Error('No se pudo actualizar la cita.');
+    }
+}
+
+/**
+ * Localiza una cita por su ID, tolerando mayúsculas, espacios y guiones ("apt 7kq 4mz").
+ * @returns {Promise<{fila: Array<string>, numeroFila: number}|null>}
+ */
+async function buscarCitaPorId(idCita) {
+    const buscado = normalizarIdCita(idCita);
+    const citas = await obtenerCitas();
+    const indice = citas.findIndex(cita => normalizarIdCita(cita[0]) === buscado);
+    if (indice === -1) return null;
+    // +2: obtenerCitas() omite el encabezado y las filas de la hoja empiezan en 1.
+    return { fila: citas[indice], numeroFila: indice + 2 };
+}
+
+// La API de Sheets omite las celdas vacías al final de cada fila.
+const completarFila = (fila) => Array.from({ length: COLUMNA_SECUENCIA + 1 }, (_, i) => fila[i] || '');
+
+/**
+ * Copia completa de la fila con la secuencia incrementada; se usa en cada reprogramación o
+ * cancelación para que los calendarios apliquen el cambio.
+ */
+const filaModificada = (fila) => {
+    const copia = completarFila(fila);
+    copia[COLUMNA_SECUENCIA] = String((parseInt(fila[COLUMNA_SECUENCIA], 10) || 0) + 1);
+    return copia;
+};
+
+const filaACita = (fila) => {
+    const [idCita, nombre, telefono, industria, solicitudes, empleados, fecha, hora, servicio, notas, estado, inicio, recurso, email, idioma, , serie, secuencia] = fila;
+    return {
+        idCita, nombre, telefono, industria, solicitudes, empleados, fecha, hora, servicio, notas,
+        estado: estado || 'pendiente', inicio: inicio || null, recurso: recurso || RECURSO_POR_DEFECTO, email: email || null,
+        idioma: idioma || 'es', serie: serie || null, secuencia: parseInt(secuencia, 10) || 0
+    };
+};
+
+const nombreRecurso = (id) => {
+    const recurso = buscarRecurso(id);
+    return recurso ? recurso.nombre : (id || 'N/A');
+};
+
+// --- Helpers de Disponibilidad ---
+const INTERVALO_MINUTOS = parseInt(process.env.INTERVALO_MINUTOS, 10) || 30;
+const MAX_SUGERENCIAS = parseInt(process.env.MAX_SUGERENCIAS, 10) || 5;
+const DIAS_SUGERENCIAS = parseInt(process.env.DIAS_SUGERENCIAS, 10) || 2;
+
+const sumarDias = (fecha, dias) => {
+    const d = new Date(`${fecha}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + dias);
+    return d.toISOString().slice(0, 10);
+};
+
+const formatearHora = (date) => enZona(date).hora;
+
+/**
+ * Convierte las filas de la hoja en intervalos ocupados { inicio, fin, recurso }.
+ * Las citas canceladas o rechazadas no ocupan horario; las que no tienen recurso
+ * (anteriores a la columna M) ocupan el recurso por defecto.
+ * @param {Array<Array<string>>} citas - Filas devueltas por obtenerCitas().
+ * @param {string} [excluirId] - ID de una cita a ignorar (p. ej. la que se reprograma).
+ */
+function intervalosOcupados(citas, excluirId) {
+    return citas.reduce((intervalos, cita) => {
+        const [idExistente, , , , , , fechaExistente, horaExistente, servicioExistente] = cita;
+        if (!fechaExistente || !horaExistente) return intervalos;
+        if (ESTADOS_INACTIVOS.includes(cita[COLUMNA_ESTADO]) || (excluirId && idExistente === excluirId)) return intervalos;
+        // Las filas anteriores a la columna L se interpretan en la zona del negocio.
+        const inicio = cita[COLUMNA_INICIO] ? new Date(cita[COLUMNA_INICIO]) : aInstante(fechaExistente, horaExistente);
+        if (isNaN(inicio.getTime())) return intervalos;
+        const fin = new Date(inicio.getTime() + minutosBloqueados(servicioExistente) * 60000);
+        intervalos.push({ inicio, fin, recurso: cita[COLUMNA_RECURSO] || RECURSO_POR_DEFECTO });
+        return intervalos;
+    }, []);
+}
+
+const hayTraslape = (inicio, fin, ocupados) => ocupados.some(o => inicio < o.fin && fin > o.inicio);
+
+/**
+ * Primer recurso de `candidatos` sin traslape en [inicio, fin), o null si todos están ocupados.
+ * @param {Array<string>} candidatos - IDs de recurso en orden de preferencia.
+ */
+const recursoLibre = (inicio, fin, ocupados, candidatos) => candidatos
+    .find(recurso => !hayTraslape(inicio, fin, ocupados.filter(o => o.recurso === recurso))) || null;
+
+/**
+ * Devuelve los inicios libres de un día dentro de los tramos de atención del calendario.
+ * Un horario está libre si al menos uno de los recursos candidatos lo está.
+ * @param {object} calendario - Resultado de calendarioNegocio.obtenerCalendario().
+ * @param {string} fecha - Fecha en formato YYYY-MM-DD.
+ * @param {number} duracionMinutos - Minutos que ocupa el servicio solicitado (duración + buffer).
+ * @param {Array<{inicio: Date, fin: Date, recurso: string}>} ocupados - Intervalos ya reservados.
+ * @param {Array<string>} candidatos - Recursos que pueden atender la cita.
+ * @returns {Array<Date>}
+ */
+function horariosLibresDelDia(calendario, fecha, duracionMinutos, ocupados, candidatos) {
+    const ahora = new Date();
+    const libres = [];
+    // El servicio debe terminar dentro del mismo tramo (p. ej. antes de la comida).
+    for (const tramo of calendario.tramosDelDia(fecha)) {
+        for (let inicio = tramo.inicio; inicio.getTime() + duracionMinutos * 60000 <= tramo.fin.getTime();
+            inicio = new Date(inicio.getTime() + INTERVALO_MINUTOS * 60000)) {
+            const fin = new Date(inicio.getTime() + duracionMinutos * 60000);
+            if (inicio > ahora && recursoLibre(inicio, fin, ocupados, candidatos)) libres.push(inicio);
+        }
     }
+    return libres;
 }
 
+/**
+ * Calcula las horas libres más cercanas a la solicitada: primero en la misma fecha
+ * (ordenadas por cercanía) y, si no alcanzan, en los días siguientes.
+ * @returns {Array<string>} Horas "HH:mm" para la misma fecha y "YYYY-MM-DD HH:mm" para otras.
+ */
+function sugerirHorarios(calendario, citas, fecha, hora, duracionMinutos, candidatos, excluirId) {
+    const ocupados = intervalosOcupados(citas, excluirId);
+    const solicitada = aInstante(fecha, hora).getTime();
+
+    const sugerencias = horariosLibresDelDia(calendario, fecha, duracionMinutos, ocupados, candidatos)
+        .sort((a, b) => Math.abs(a.getTime() - solicitada) - Math.abs(b.getTime() - solicitada))
+        .slice(0, MAX_SUGERENCIAS)
+        .sort((a, b) => a - b)
+        .map(formatearHora);
 
-// --- Helper para respuestas estandarizadas ---
-const responder = (res, statusCode, title, rawData) => {
-    let message = rawData.mensaje || 'Operación completada.';
-    if (rawData.sugerencias && rawData.sugerencias.length > 0) {
-        message = `${message}\n\n**Horas alternativas sugeridas:**\n${rawData.sugerencias.join(', ')}`;
-    } else if (rawData.sugerencias) {
-        message = `${message}\n\nNo se encontraron otras horas disponibles en esta fecha.`;
+    // Los días cerrados no cuentan para DIAS_SUGERENCIAS; se revisan hasta 14 días.
+    for (let dia = 1, abiertos = 0; dia <= 14 && abiertos < DIAS_SUGERENCIAS && sugerencias.length < MAX_SUGERENCIAS; dia++) {
+        const otraFecha = sumarDias(fecha, dia);
+        if (calendario.motivoCierre(otraFecha)) continue;
+        abiertos++;
+        horariosLibresDelDia(calendario, otraFecha, duracionMinutos, ocupados, candidatos)
+            .slice(0, MAX_SUGERENCIAS - sugerencias.length)
+            .forEach(inicio => sugerencias.push(`${otraFecha} ${formatearHora(inicio)}`));
     }
+    return sugerencias;
+}
+
+/**
+ * Verificación posterior a la escritura para evitar dobles reservas entre instancias.
+ * Vuelve a leer las citas y comprueba que ninguna cita activa registrada ANTES que idCita
+ * se traslape con ella en el mismo recurso. Como todas las instancias aplican la misma regla (gana la fila
+ * más antigua), sólo una de dos solicitudes simultáneas conserva el horario.
+ * @returns {Promise<{ganada: boolean, numeroFila: number|null}>}
+ */
+async function confirmarReserva(idCita) {
+    const citas = await obtenerCitas();
+    const indice = citas.findIndex(cita => cita[0] === idCita);
+    if (indice === -1) return { ganada: false, numeroFila: null };
+
+    const numeroFila = indice + 2;
+    const [propio] = intervalosOcupados([citas[indice]]);
+    if (!propio) return { ganada: true, numeroFila };
+    const anteriores = intervalosOcupados(citas.slice(0, indice)).filter(o => o.recurso === propio.recurso);
+    return { ganada: !hayTraslape(propio.inicio, propio.fin, anteriores), numeroFila };
+}
 
-    const response = {
-        raw: {
-            status: statusCode >= 400 ? 'error' : 'exito',
-            ...rawData
-        },
-        markdown: `**${title}**\n\n${message}`,
-        type: "markdown",
-        desc: `**${title}**\n\n${message}`
+const mensajeServicioDesconocido = (servicio) => ({
+    mensaje: `El servicio "${servicio}" no existe. Servicios disponibles: ${listarServicios().map(s => s.nombre).join(', ')}.`,
+    serviciosDisponibles: listarServicios().map(s => s.nombre)
+});
+
+/**
+ * Resuelve los recursos candidatos para un servicio. Si se pide un recurso concreto,
+ * sólo ése (siempre que exista y atienda el servicio).
+ * @returns {{candidatos: Array<string>}|{error: string}}
+ */
+function candidatosParaCita(nombreServicio, recursoSolicitado) {
+    const aptos = recursosParaServicio(nombreServicio);
+    if (!recursoSolicitado) {
+        return aptos.length ? { candidatos: aptos } : { error: `Ningún recurso atiende el servicio "${nombreServicio}".` };
+    }
+    const recurso = buscarRecurso(recursoSolicitado);
+    if (!recurso) {
+        return { error: `El recurso "${recursoSolicitado}" no existe. Recursos disponibles: ${listarRecursos().map(r => r.id).join(', ')}.` };
+    }
+    if (!aptos.includes(recurso.id)) {
+        return { error: `El recurso "${recurso.id}" no atiende el servicio "${nombreServicio}".` };
+    }
+    return { candidatos: [recurso.id] };
+}
+
+/**
+ * Convierte una cita en el evento que consume generarCalendario.
+ * El evento dura lo que el servicio (sin buffer).
+ * @param {object} cita - Cita con fecha, hora, servicio, secuencia y opcionalmente inicio ISO.
+ * @param {'nueva'|'reprogramada'|'cancelada'} [evento]
+ */
+function citaAEventoIcs(cita, evento) {
+    const inicio = cita.inicio ? new Date(cita.inicio) : aInstante(cita.fecha, cita.hora);
+    const servicioCatalogo = buscarServicio(cita.servicio);
+    const minutos = servicioCatalogo ? servicioCatalogo.duracionMinutos : minutosBloqueados(cita.servicio);
+    return {
+        uid: cita.idCita,
+        inicio,
+        fin: new Date(inicio.getTime() + minutos * 60000),
+        resumen: `${cita.servicio} - ${cita.nombre}`,
+        descripcion: [
+            `ID de Cita: ${cita.idCita}`,
+            `Teléfono: ${cita.telefono || 'No proporcionado'}`,
+            `Recurso: ${nombreRecurso(cita.recurso)}`,
+            cita.notas ? `Notas: ${cita.notas}` : null
+        ].filter(Boolean).join('\n'),
+        ubicacion: process.env.NEGOCIO_DIRECCION,
+        organizador: process.env.EMAIL_USER,
+        cancelado: evento === 'cancelada' || cita.estado === ESTADO_CANCELADA,
+        // Viene de la fila, así que el correo y el feed publican la misma secuencia para cada cambio.
+        secuencia: cita.secuencia || 0
     };
-    res.status(statusCode).json(response);
+}
+
+const MAX_DIAS_DISPONIBILIDAD = 14;
+
+const mensajeFueraDeHorario = (calendario, fecha, hora, duracionMinutos) => {
+    const motivo = calendario.motivoCierre(fecha);
+    return motivo
+        ? `No se atiende el ${fecha}: ${motivo}.`
+        : `Una cita de ${duracionMinutos} min a las ${hora} queda fuera del horario de atención del ${fecha} (${calendario.describirHorario(fecha)}).`;
 };
+// Cuántos días hacia adelante se aceptan reservas; las series recurrentes llegan más lejos.
+const MAX_DIAS_ANTICIPACION = parseInt(process.env.MAX_DIAS_ANTICIPACION || '90', 10);
+const MAX_DIAS_SERIE = parseInt(process.env.MAX_DIAS_SERIE || '365', 10);
 
+// --- Esquemas de Validación ---
+const esZonaIana = (zona) => esZonaValida(zona) ? null : 'debe ser un identificador IANA, p. ej. America/Mexico_City';
 
-// --- Helpers de Google Sheets ---
-async function obtenerCitas() {
-    try {
-        const client = await auth.getClient();
-        const sheets = google.sheets({ version: "v4", auth: client });
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: SHEET_ID_CITAS,
-            range: `${SHEET_NAME_CITAS}!A:J`, // Rango original de 10 columnas
-        });
-        const rows = response.data.values || [];
-        return rows.length > 1 ? rows.slice(1) : [];
-    } catch (error) {
-        console.error('Error al leer las citas de la hoja:', error);
-        throw new Error('No se pudieron obtener las citas.');
+const ESQUEMA_AGENDAR = {
+    nombre: { tipo: 'texto', requerido: true, maxLongitud: 100 },
+    telefono: { tipo: 'telefono' },
+    email: { tipo: 'email' },
+    idioma: { tipo: 'opcion', opciones: IDIOMAS_SOPORTADOS, defecto: 'es' },
+    industria: { tipo: 'texto', maxLongitud: 100 },
+    solicitudes: { tipo: 'texto', maxLongitud: 500 },
+    empleados: { tipo: 'entero', min: 1, max: 100000 },
+    fecha: { tipo: 'fecha', requerido: true },
+    hora: { tipo: 'hora', requerido: true },
+    servicio: { tipo: 'texto', requerido: true, maxLongitud: 100 },
+    notas: { tipo: 'texto', maxLongitud: 1000 },
+    zonaHoraria: { tipo: 'texto', maxLongitud: 64, validar: esZonaIana },
+    recurso: { tipo: 'texto', maxLongitud: 50 }
+};
+
+const ESQUEMA_RECURRENCIA = {
+    frecuencia: { tipo: 'opcion', requerido: true, opciones: FRECUENCIAS },
+    intervalo: { tipo: 'entero', min: 1, max: 12, defecto: 1 },
+    repeticiones: { tipo: 'entero', min: 2, max: MAX_OCURRENCIAS },
+    hasta: { tipo: 'fecha' }
+};
+
+/**
+ * Valida el objeto `recurrencia` de una reserva. Los errores se reportan como
+ * "recurrencia.<campo>" para distinguirlos de los campos de la cita.
+ * @param {string} fecha - Fecha de la primera cita (YYYY-MM-DD); `hasta` no puede ser anterior.
+ */
+function validarRecurrencia(recurrencia, fecha) {
+    if (typeof recurrencia !== 'object' || Array.isArray(recurrencia)) {
+        return { valores: null, errores: [{ campo: 'recurrencia', mensaje: 'debe ser un objeto { frecuencia, repeticiones | hasta }' }] };
+    }
+    const { valores, errores } = validar(ESQUEMA_RECURRENCIA, recurrencia);
+    if (errores.length === 0 && !valores.repeticiones && !valores.hasta) {
+        errores.push({ campo: 'repeticiones', mensaje: 'indique repeticiones o hasta' });
+    }
+    if (errores.length === 0 && valores.hasta && valores.hasta < fecha) {
+        errores.push({ campo: 'hasta', mensaje: `no puede ser anterior a la fecha de la primera cita (${fecha})` });
     }
+    return { valores, errores: errores.map(e => ({ ...e, campo: `recurrencia.${e.campo}` })) };
 }
 
-async function agregarFila(valores) {
-    try {
-        const client = await auth.getClient();
-        const sheets = google.sheets({ version: "v4", auth: client });
-        await sheets.spreadsheets.values.append({
-            spreadsheetId: SHEET_ID_CITAS,
-            range: `${SHEET_NAME_CITAS}!A:J`, // Rango original de 10 columnas
-            valueInputOption: "USER_ENTERED",
-            insertDataOption: "INSERT_ROWS",
-            requestBody: { values: [valores] },
-        });
-        return true;
-    } catch (error) {
-        console.error('Error al agregar la fila:', error);
-        throw new Error('No se pudo guardar la cita en la hoja de cálculo.');
+const ESQUEMA_REPROGRAMAR = {
+    fecha: { tipo: 'fecha', requerido: true },
+    hora: { tipo: 'hora', requerido: true },
+    zonaHoraria: { tipo: 'texto', maxLongitud: 64, validar: esZonaIana },
+    recurso: { tipo: 'texto', maxLongitud: 50 }
+};
+
+/**
+ * Rechaza instantes pasados o más allá de `maxDias` (MAX_DIAS_ANTICIPACION por defecto).
+ * @returns {Array<{campo: string, mensaje: string}>} Errores en el formato de `validar`.
+ */
+function erroresDeVentana(instante, ahora = new Date(), maxDias = MAX_DIAS_ANTICIPACION) {
+    if (instante.getTime() <= ahora.getTime()) {
+        return [{ campo: 'fecha', mensaje: 'la fecha y hora ya pasaron' }];
     }
+    if (instante.getTime() > ahora.getTime() + maxDias * 86400000) {
+        return [{ campo: 'fecha', mensaje: `no se aceptan reservas con más de ${maxDias} días de anticipación` }];
+    }
+    return [];
+}
+
+/**
+ * Envía los recordatorios vencidos (ver lib/recordatorios.js). Las marcas se guardan
+ * ANTES de enviar, así un recordatorio nunca se repite aunque dos ejecuciones coincidan.
+ * Si una cita acumula varias marcas vencidas (p. ej. el proceso estuvo detenido),
+ * se envía un solo recordatorio y se marcan todas.
+ * @param {Date} [ahora=new Date()]
+ * @returns {Promise<Array<{idCita: string, marcas: Array<string>}>>} Recordatorios enviados.
+ */
+async function procesarRecordatorios(ahora = new Date()) {
+    const pendientes = await conBloqueo('citas', async () => {
+        const citas = await obtenerCitas();
+        const porEnviar = [];
+        for (let indice = 0; indice < citas.length; indice++) {
+            const fila = citas[indice];
+            if (!fila[6] || !fila[7] || ESTADOS_INACTIVOS.includes(fila[COLUMNA_ESTADO])) continue;
+            const inicio = fila[COLUMNA_INICIO] ? new Date(fila[COLUMNA_INICIO]) : aInstante(fila[6], fila[7]);
+            if (isNaN(inicio.getTime())) continue;
+
+            const marcas = recordatorios.marcasVencidas(inicio, ahora, fila[COLUMNA_RECORDATORIOS]);
+            if (marcas.length === 0) continue;
+
+            const filaActualizada = completarFila(fila);
+            filaActualizada[COLUMNA_RECORDATORIOS] = recordatorios.agregarMarcas(fila[COLUMNA_RECORDATORIOS], marcas);
+            await actualizarFila(indice + 2, filaActualizada);
+            porEnviar.push({ cita: filaACita(filaActualizada), marcas });
+        }
+        return porEnviar;
+    });
+
+    for (const { cita } of pendientes) {
+        await notificarCita(cita, 'recordatorio')
+            .catch(err => console.error("Fallo en la ejecución de notificarCita:", err));
+    }
+    if (pendientes.length > 0) {
+        console.log(`Recordatorios enviados: ${pendientes.map(p => `${p.cita.idCita} (${p.marcas.join(',')}h)`).join(', ')}`);
+    }
+    return pendientes.map(({ cita, marcas }) => ({ idCita: cita.idCita, marcas }));
 }
 
 // --- Middlewares ---
@@ -170,75 +451,359 @@ app.use(rateLimit({
 // --- Rutas de la API ---
 app.get('/', (req, res) => {
     responder(res, 200, "API de Agendamiento de Citas", {
-        version: '1.4.0 (Nodemailer Fijo)',
+        version: '2.0.0',
         endpoints: {
-            '/api/citas/agendar': 'POST - Crea una nueva cita y notifica por Correo Electrónico a un destinatario fijo.'
+            '/api/citas/agendar': 'POST - Crea una nueva cita (o una serie con recurrencia) y la notifica al negocio y al cliente por los canales configurados (correo, webhook, SMS/WhatsApp).',
+            '/api/citas/servicios': 'GET - Catálogo de servicios con duración, buffer y precio.',
+            '/api/citas/recursos': 'GET - Personal, bahías o salas con agenda propia.',
+            '/api/citas/disponibilidad': 'GET - Horarios libres para un servicio (fecha o fechaInicio/fechaFin).',
+            '/api/citas/horario': 'GET - Horario semanal, feriados y cierres extraordinarios.',
+            '/api/citas/calendar.ics': 'GET - Feed iCalendar de las próximas citas (requiere token).',
+            '/api/citas/recordatorios/ejecutar': 'POST/GET - Envía los recordatorios pendientes (cron, requiere token).',
+            '/api/admin/notificaciones': 'GET - Bandeja de salida de notificaciones (?estado=fallida|pendiente|enviada, requiere token).',
+            '/api/admin/notificaciones/procesar': 'POST/GET - Reintenta las notificaciones pendientes (cron, requiere token).',
+            '/api/admin/notificaciones/:id/reintentar': 'POST - Reintenta una notificación (requiere token).',
+            '/api/admin/cierres': 'GET - Lista los cierres extraordinarios. POST - Agrega un cierre (fecha, motivo) (requiere token).',
+            '/api/admin/cierres/:fecha': 'DELETE - Elimina un cierre extraordinario (requiere token).',
+            '/api/citas': 'GET - Lista citas con filtros, orden y paginación (requiere token).',
+            '/api/citas/exportar': 'GET - Descarga las citas filtradas en CSV o XLSX (?formato=csv|xlsx, requiere token).',
+            '/api/citas/series/:idSerie': 'DELETE - Cancela las citas futuras de una serie recurrente (requiere token).',
+            '/api/citas/:idCita': 'GET - Detalle de una cita. PATCH - Reprograma una cita (fecha, hora). DELETE - Cancela una cita. Todas requieren token.',
+            '/api/price-list/health': 'GET - Estado de la lista de precios.',
+            '/api/price-list/products': 'GET - Todos los productos de la lista de precios.',
+            '/api/price-list/product/:id': 'GET - Detalle de un producto.',
+            '/api/price-list/product/:id/history': 'GET - Historial de precio, costo y existencia de un producto por versión.',
+            '/api/price-list/changelog': 'GET - Cambios entre dos versiones de la lista (?from=&to=, por defecto la activa contra la anterior).',
+            '/api/price-list/search': 'POST - Busca productos (query, productId, productName, priceMin, priceMax, limit).',
+            '/api/price-list/tire-search': 'POST - Busca llantas por medida (width, aspectRatio, diameter). /tire-search-es responde en español.',
+            '/api/price-list/tire-parse': 'POST - Interpreta la medida de un nombre de producto (product_name).',
+            '/api/price-list/reload': 'POST - Vuelve a leer el Excel; solo se activa si es válido.',
+            '/api/price-list/versions': 'GET - Versiones de la lista de precios conservadas para revertir.',
+            '/api/price-list/rollback': 'POST - Reactiva una versión conservada (version, requiere token).',
+            '/api/price-list/upload': 'POST - Sube un Excel (campo "file") y devuelve la vista previa de cambios (requiere token).',
+            '/api/price-list/upload/:idCarga/confirm': 'POST - Activa una carga revisada (requiere token). DELETE /api/price-list/upload/:idCarga la descarta.'
         }
     });
 });
 
-app.post('/api/citas/agendar', async (req, res) => {
+app.get('/api/citas/servicios', (req, res) => {
+    const servicios = listarServicios();
+    const tabla = `| Servicio | Alias | Duración | Buffer | Precio |\n|:---------|:------|:---------|:-------|:-------|\n` +
+        servicios.map(s => `| ${s.nombre} | ${s.alias.join(', ') || '-'} | ${s.duracionMinutos} min | ${s.bufferMinutos} min | ${s.precio != null ? `$${s.precio}` : 'A cotizar'} |`).join('\n');
+    responder(res, 200, "Catálogo de Servicios", {
+        mensaje: `Hay ${servicios.length} servicios disponibles.\n\n${tabla}`,
+        servicios
+    });
+});
+
+app.get('/api/citas/recursos', (req, res) => {
+    const recursos = listarRecursos();
+    const tabla = `| ID | Nombre | Tipo | Servicios |\n|:---|:-------|:-----|:----------|\n` +
+        recursos.map(r => `| ${r.id} | ${r.nombre} | ${r.tipo} | ${r.servicios.join(', ') || 'Todos'} |`).join('\n');
+    responder(res, 200, "Recursos Agendables", {
+        mensaje: `Hay ${recursos.length} recursos configurados.\n\n${tabla}`,
+        recursos
+    });
+});
+
+app.get('/api/citas/horario', async (req, res) => {
+    try {
+        const semana = calendarioNegocio.horarioSemanal();
+        const feriados = calendarioNegocio.listarFeriados();
+        const hoy = enZona(new Date()).fecha;
+        const cierres = (await calendarioNegocio.listarCierres()).filter(c => c.fecha >= hoy);
+        const tabla = `| Día | Horario |\n|:----|:--------|\n` +
+            semana.map(d => `| ${d.dia} | ${d.tramos.map(t => `${t.inicio}-${t.fin}`).join(', ') || 'Cerrado'} |`).join('\n');
+        const listaCierres = cierres.length
+            ? `\n\n**Próximos cierres:**\n${cierres.map(c => `- ${c.fecha}: ${c.motivo || 'Cierre extraordinario'}`).join('\n')}`
+            : '';
+        responder(res, 200, "Horario de Atención", {
+            mensaje: `Horario en ${ZONA_HORARIA}.\n\n${tabla}${listaCierres}`,
+            zonaHoraria: ZONA_HORARIA,
+            semana,
+            feriados,
+            cierres
+        });
+    } catch (error) {
+        console.error('Error al consultar el horario:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+app.get('/api/citas/disponibilidad', async (req, res) => {
     try {
-        // Se elimina 'email' del destructuring
-        const { nombre, telefono, industria, solicitudes, empleados, fecha, hora, servicio, notas } = req.body;
+        const { fecha, servicio, recurso } = req.query;
+        const fechaInicio = req.query.fechaInicio || fecha;
+        const fechaFin = req.query.fechaFin || fechaInicio;
 
-        if (!nombre || !fecha || !hora || !servicio) {
+        if (!fechaInicio || !servicio) {
             return responder(res, 400, "Error de Validación", {
-                mensaje: 'Faltan campos requeridos: nombre, fecha, hora y servicio son obligatorios.'
+                mensaje: 'Faltan campos requeridos: servicio y fecha (o fechaInicio/fechaFin) son obligatorios.'
             });
         }
-
-        const duracionMinutos = servicio.toLowerCase() === 'cita' ? 60 : 30;
-        const fechaHoraSolicitada = new Date(`${fecha}T${hora}:00`);
-        if (isNaN(fechaHoraSolicitada.getTime())) {
+        if (!esFechaIso(fechaInicio || '') || !esFechaIso(fechaFin || '') || fechaFin < fechaInicio) {
             return responder(res, 400, "Error de Formato", {
-                mensaje: 'El formato de fecha u hora es inválido.'
+                mensaje: 'Las fechas deben tener formato YYYY-MM-DD y fechaFin no puede ser anterior a fechaInicio.'
             });
         }
-        const fechaHoraFinSolicitada = new Date(fechaHoraSolicitada.getTime() + duracionMinutos * 60000);
 
+        const fechas = [];
+        for (let f = fechaInicio; f <= fechaFin && fechas.length < MAX_DIAS_DISPONIBILIDAD; f = sumarDias(f, 1)) {
+            fechas.push(f);
+        }
+
+        const servicioCatalogo = buscarServicio(servicio);
+        if (!servicioCatalogo) {
+            return responder(res, 400, "Servicio Desconocido", mensajeServicioDesconocido(servicio));
+        }
+
+        const { candidatos, error } = candidatosParaCita(servicioCatalogo.nombre, recurso);
+        if (error) {
+            return responder(res, 400, "Recurso no Válido", { mensaje: error });
+        }
+
+        const duracionMinutos = minutosBloqueados(servicioCatalogo.nombre);
+        const ocupados = intervalosOcupados(await obtenerCitas());
+        const calendario = await calendarioNegocio.obtenerCalendario();
+        const disponibilidad = fechas.map(f => ({
+            fecha: f,
+            cerrado: calendario.motivoCierre(f),
+            horas: horariosLibresDelDia(calendario, f, duracionMinutos, ocupados, candidatos).map(formatearHora)
+        }));
+
+        const totalHorarios = disponibilidad.reduce((total, dia) => total + dia.horas.length, 0);
+        const tabla = `| Fecha | Horas disponibles |\n|:------|:------------------|\n` +
+            disponibilidad.map(dia => `| ${dia.fecha} | ${dia.cerrado ? `Cerrado: ${dia.cerrado}` : dia.horas.join(', ') || 'Sin horarios libres'} |`).join('\n');
+
+        responder(res, 200, "Disponibilidad de Citas", {
+            mensaje: `Se encontraron ${totalHorarios} horarios libres para "${servicioCatalogo.nombre}" (${servicioCatalogo.duracionMinutos} min).\n\n${tabla}`,
+            servicio: servicioCatalogo.nombre,
+            duracionMinutos,
+            zonaHoraria: ZONA_HORARIA,
+            recursos: candidatos,
+            disponibilidad
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de disponibilidad:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+/**
+ * Fila de una cita nueva a partir de los valores validados de la reserva.
+ * El ID y el recurso se asignan después, dentro del bloqueo.
+ */
+const filaNuevaCita = (valores, nombreServicio, inicio) => {
+    const { fecha, hora } = enZona(inicio);
+    const fila = completarFila([
+        null, valores.nombre, valores.telefono, valores.industria, valores.solicitudes, valores.empleados,
+        fecha, hora, nombreServicio, valores.notas, 'pendiente', aIsoConZona(inicio)
+    ]);
+    fila[COLUMNA_EMAIL] = valores.email || '';
+    fila[COLUMNA_IDIOMA] = valores.idioma;
+    return fila;
+};
+
+/**
+ * Agenda cada ocurrencia de una serie recurrente con un ID de serie común.
+ * Las ocurrencias fuera de horario, ocupadas o fuera de la ventana de reserva se
+ * reportan como fallidas sin impedir que se agenden las demás.
+ */
+async function agendarSerie(res, { valores, servicioCatalogo, candidatos, duracionMinutos, regla }) {
+    const zona = valores.zonaHoraria || ZONA_HORARIA;
+    const fechas = expandirFechas(valores.fecha, regla);
+    const calendario = await calendarioNegocio.obtenerCalendario();
+
+    const { idSerie, creadas, fallidas } = await conBloqueo('citas', async () => {
         const citasExistentes = await obtenerCitas();
-        const hayConflicto = citasExistentes.some(cita => {
-            // Índices ajustados a la estructura de 10 columnas
-            const [, , , , , , fechaExistente, horaExistente, servicioExistente] = cita;
-            if (!fechaExistente || !horaExistente) return false;
-            const inicioExistente = new Date(`${fechaExistente}T${horaExistente}:00`);
-            const duracionExistente = (servicioExistente || '').toLowerCase() === 'cita' ? 60 : 30;
-            const finExistente = new Date(inicioExistente.getTime() + duracionExistente * 60000);
-            return fechaHoraSolicitada < finExistente && fechaHoraFinSolicitada > inicioExistente;
+        const ocupados = intervalosOcupados(citasExistentes);
+        const idsCitas = citasExistentes.map(cita => cita[0]);
+        const idSerie = generarIdSerie(citasExistentes.map(cita => cita[COLUMNA_SERIE]).filter(Boolean));
+        const creadas = [];
+        const fallidas = [];
+
+        for (const fechaOcurrencia of fechas) {
+            const inicio = aInstante(fechaOcurrencia, valores.hora, zona);
+            const fin = new Date(inicio.getTime() + duracionMinutos * 60000);
+            const { fecha, hora } = enZona(inicio);
+            const [errorVentana] = erroresDeVentana(inicio, new Date(), MAX_DIAS_SERIE);
+            if (errorVentana) {
+                fallidas.push({ fecha, hora, motivo: errorVentana.mensaje });
+                continue;
+            }
+            if (!calendario.dentroDeHorario(inicio, fin)) {
+                fallidas.push({ fecha, hora, motivo: calendario.motivoCierre(fecha) || 'fuera del horario de atención' });
+                continue;
+            }
+            const recursoAsignado = recursoLibre(inicio, fin, ocupados, candidatos);
+            if (!recursoAsignado) {
+                fallidas.push({ fecha, hora, motivo: 'horario ocupado' });
+                continue;
+            }
+
+            const fila = filaNuevaCita(valores, servicioCatalogo.nombre, inicio);
+            fila[0] = generarIdCita(idsCitas);
+            fila[COLUMNA_RECURSO] = recursoAsignado;
+            fila[COLUMNA_SERIE] = idSerie;
+            idsCitas.push(fila[0]);
+            await agregarFila(fila);
+            const { ganada, numeroFila } = await confirmarReserva(fila[0]);
+            if (!ganada) {
+                if (numeroFila) {
+                    const filaRechazada = [...fila];
+                    filaRechazada[COLUMNA_ESTADO] = ESTADO_RECHAZADA;
+                    await actualizarFila(numeroFila, filaRechazada);
+                }
+                fallidas.push({ fecha, hora, motivo: 'reservado al mismo tiempo por otra solicitud' });
+                continue;
+            }
+            // Las siguientes ocurrencias de la serie no pueden traslaparse con ésta.
+            ocupados.push({ inicio, fin, recurso: recursoAsignado });
+            creadas.push(fila);
+        }
+        return { idSerie, creadas, fallidas };
+    });
+
+    const descripcion = `${describirRecurrencia(valores.fecha, regla)} a las ${valores.hora}`;
+    const tabla = `| Fecha | Hora | Resultado |\n|:------|:-----|:----------|\n` + [
+        ...creadas.map(fila => ({ fecha: fila[6], hora: fila[7], resultado: `Agendada (${fila[0]})` })),
+        ...fallidas.map(f => ({ fecha: f.fecha, hora: f.hora, resultado: `No agendada: ${f.motivo}` }))
+    ].sort((a, b) => a.fecha.localeCompare(b.fecha)).map(o => `| ${o.fecha} | ${o.hora} | ${o.resultado} |`).join('\n');
+
+    if (creadas.length === 0) {
+        return responder(res, 409, "Serie sin Citas", {
+            mensaje: `No se pudo agendar ninguna de las ${fechas.length} citas (${descripcion}).\n\n${tabla}`,
+            fallidas
         });
+    }
 
-        if (hayConflicto) {
-            // ... (la lógica de sugerencias de horario se mantiene igual)
-            return responder(res, 409, "Conflicto de Horario", {
-                mensaje: `El horario de ${hora} no está disponible.`,
-                sugerencias: [] // Aquí iría tu lógica de sugerencias
+    const entregas = [];
+    for (const fila of creadas) {
+        entregas.push(...await notificarCita(filaACita(fila))
+            .catch(err => {
+                console.error("Fallo en la ejecución de notificarCita:", err);
+                return [{ canal: 'todos', ok: false, estado: 'error', error: err.message }];
+            }));
+    }
+
+    return responder(res, 201, "Serie de Citas Registrada", {
+        mensaje: `Se agendaron ${creadas.length} de ${fechas.length} citas (${descripcion}) en la serie ${idSerie}. ${resumenNotificaciones(entregas)}\n\n${tabla}`,
+        idSerie,
+        recurrencia: regla,
+        zonaHoraria: ZONA_HORARIA,
+        citas: creadas.map(filaACita),
+        fallidas,
+        notificaciones: entregas
+    });
+}
+
+app.post('/api/citas/agendar', async (req, res) => {
+    try {
+        const { valores, errores } = validar(ESQUEMA_AGENDAR, req.body);
+        if (errores.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+        }
+        const { nombre, telefono, email, industria, solicitudes, empleados, fecha: fechaEntrada, hora: horaEntrada, servicio, zonaHoraria, recurso } = valores;
+
+        let regla = null;
+        if (req.body.recurrencia !== undefined && req.body.recurrencia !== null) {
+            const recurrencia = validarRecurrencia(req.body.recurrencia, fechaEntrada);
+            if (recurrencia.errores.length > 0) {
+                return responder(res, 400, "Error de Validación", datosErrorValidacion(recurrencia.errores));
+            }
+            regla = recurrencia.valores;
+        }
+
+        const servicioCatalogo = buscarServicio(servicio);
+        if (!servicioCatalogo) {
+            return responder(res, 400, "Servicio Desconocido", mensajeServicioDesconocido(servicio));
+        }
+        const { candidatos, error: errorRecurso } = candidatosParaCita(servicioCatalogo.nombre, recurso);
+        if (errorRecurso) {
+            return responder(res, 400, "Recurso no Válido", { mensaje: errorRecurso });
+        }
+        const duracionMinutos = minutosBloqueados(servicioCatalogo.nombre);
+        // fecha/hora llegan en la zona del cliente (zonaHoraria) y se guardan en la del negocio.
+        const fechaHoraSolicitada = aInstante(fechaEntrada, horaEntrada, zonaHoraria || ZONA_HORARIA);
+        const erroresFecha = erroresDeVentana(fechaHoraSolicitada);
+        if (erroresFecha.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(erroresFecha));
+        }
+        if (regla) {
+            return await agendarSerie(res, { valores, servicioCatalogo, candidatos, duracionMinutos, regla });
+        }
+        const { fecha, hora } = enZona(fechaHoraSolicitada);
+        const inicioIso = aIsoConZona(fechaHoraSolicitada);
+        const fechaHoraFinSolicitada = new Date(fechaHoraSolicitada.getTime() + duracionMinutos * 60000);
+
+        const calendario = await calendarioNegocio.obtenerCalendario();
+        if (!calendario.dentroDeHorario(fechaHoraSolicitada, fechaHoraFinSolicitada)) {
+            return responder(res, 400, "Fuera de Horario", {
+                mensaje: mensajeFueraDeHorario(calendario, fecha, hora, duracionMinutos),
+                sugerencias: sugerirHorarios(calendario, await obtenerCitas(), fecha, hora, duracionMinutos, candidatos)
             });
         }
 
-        const idCita = `APT-${Date.now().toString().slice(-4)}${Math.floor(10 + Math.random() * 90)}`;
-        // Fila vuelve a la estructura original de 10 columnas
-        const nuevaFila = [idCita, nombre, telefono || '', industria || '', solicitudes || '', empleados || '', fecha, hora, servicio, notas || ''];
-        const exito = await agregarFila(nuevaFila);
+        const nuevaFila = filaNuevaCita(valores, servicioCatalogo.nombre, fechaHoraSolicitada);
+
+        // Lectura, verificación y escritura en exclusiva dentro de este proceso;
+        // confirmarReserva cubre las solicitudes que llegan a otras instancias.
+        const resultado = await conBloqueo('citas', async () => {
+            const citasExistentes = await obtenerCitas();
+            const recursoAsignado = recursoLibre(fechaHoraSolicitada, fechaHoraFinSolicitada, intervalosOcupados(citasExistentes), candidatos);
+            if (!recursoAsignado) {
+                return { conflicto: true, citas: citasExistentes };
+            }
 
-        if (exito) {
-            const raw = {
-                appointmentDetails: { nombre, telefono: telefono || '', industria: industria || '', solicitudes: solicitudes || null, empleados: empleados || null, fecha, hora, servicio },
-                status: "pendiente",
-                idCita
-            };
-            const markdown = `| Campo | Detalle |\n|:------|:--------|\n| Nombre | ${nombre} |\n| Teléfono | ${telefono || 'N/A'} |\n| Fecha | ${fecha} |\n| Hora | ${hora} |\n| ID Cita | ${idCita} |\n`;
-            const desc = `🌟 ¡Hola ${nombre}! Su **cita ha sido registrada exitosamente**. Se ha enviado una notificación.`;
+            // El ID se genera dentro del bloqueo para comprobarlo contra todas las filas existentes.
+            nuevaFila[0] = generarIdCita(citasExistentes.map(cita => cita[0]));
+            nuevaFila[COLUMNA_RECURSO] = recursoAsignado;
+            await agregarFila(nuevaFila);
+            const { ganada, numeroFila } = await confirmarReserva(nuevaFila[0]);
+            if (ganada) return { conflicto: false, recursoAsignado };
 
-            // --- CAMBIO: Llamamos a la función de enviar correo con todos los datos ---
-            await enviarCorreoConfirmacion({ nombre, telefono, industria, solicitudes, empleados, fecha, hora, servicio, notas, idCita })
-                .catch(err => console.error("Fallo en la ejecución de enviarCorreoConfirmacion:", err));
+            if (numeroFila) {
+                const filaRechazada = [...nuevaFila];
+                filaRechazada[COLUMNA_ESTADO] = ESTADO_RECHAZADA;
+                await actualizarFila(numeroFila, filaRechazada);
+            }
+            return { conflicto: true, simultanea: true, citas: await obtenerCitas() };
+        });
 
-            return res.status(201).json({ raw, markdown, type: "markdown", desc });
-        } else {
-            throw new Error('No se pudo guardar la cita en la hoja de cálculo. Intente de nuevo.');
+        if (resultado.conflicto) {
+            return responder(res, 409, "Conflicto de Horario", {
+                mensaje: resultado.simultanea
+                    ? `El horario de ${hora} acaba de ser reservado por otra solicitud.`
+                    : `El horario de ${hora} no está disponible.`,
+                sugerencias: sugerirHorarios(calendario, resultado.citas, fecha, hora, duracionMinutos, candidatos)
+            });
         }
 
+        const { recursoAsignado } = resultado;
+        const idCita = nuevaFila[0];
+        const raw = {
+            appointmentDetails: { nombre, telefono: telefono || '', email: email || null, industria: industria || '', solicitudes, empleados, fecha, hora, servicio: servicioCatalogo.nombre, recurso: recursoAsignado },
+            status: "pendiente",
+            idCita,
+            inicio: inicioIso,
+            zonaHoraria: ZONA_HORARIA
+        };
+        const entregas = await notificarCita(filaACita(nuevaFila))
+            .catch(err => {
+                console.error("Fallo en la ejecución de notificarCita:", err);
+                return [{ canal: 'todos', ok: false, estado: 'error', error: err.message }];
+            });
+        raw.notificaciones = entregas;
+
+        const markdown = `| Campo | Detalle |\n|:------|:--------|\n| Nombre | ${nombre} |\n| Teléfono | ${telefono || 'N/A'} |\n| Fecha | ${fecha} |\n| Hora | ${hora} (${ZONA_HORARIA}) |\n| Recurso | ${nombreRecurso(recursoAsignado)} |\n| ID Cita | ${idCita} |\n`;
+        const desc = `🌟 ¡Hola ${nombre}! Su **cita ha sido registrada exitosamente**. ${resumenNotificaciones(entregas)}`;
+
+        return res.status(201).json({ raw, markdown, type: "markdown", desc });
+
     } catch (error) {
         console.error('Error en el endpoint de agendar cita:', error);
         responder(res, 500, "Error Interno del Servidor", {
@@ -247,6 +812,584 @@ app.post('/api/citas/agendar', async (req, res) => {
     }
 });
 
+app.get('/api/citas/calendar.ics', requiereToken('CALENDARIO_TOKEN', 'ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { recurso } = req.query;
+        const ahora = new Date();
+        const eventos = (await obtenerCitas())
+            .map(filaACita)
+            .filter(cita => cita.fecha && cita.hora && !ESTADOS_INACTIVOS.includes(cita.estado))
+            .filter(cita => !recurso || cita.recurso === recurso)
+            .map(cita => citaAEventoIcs(cita))
+            .filter(evento => !isNaN(evento.inicio.getTime()) && evento.fin >= ahora)
+            .sort((a, b) => a.inicio - b.inicio);
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="citas.ics"');
+        res.send(generarCalendario(eventos, { nombre: 'Citas' }));
+    } catch (error) {
+        console.error('Error en el feed de calendario:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+// Disparador para cron externo o Vercel Cron (que llama con GET y "Authorization: Bearer CRON_SECRET").
+const ejecutarRecordatorios = async (req, res) => {
+    try {
+        const enviados = await procesarRecordatorios();
+        const lista = enviados.map(e => `- ${e.idCita} (${e.marcas.join(', ')} h)`).join('\n');
+        responder(res, 200, "Recordatorios Procesados", {
+            mensaje: enviados.length ? `Se enviaron ${enviados.length} recordatorios:\n${lista}` : 'No había recordatorios pendientes.',
+            enviados,
+            horas: recordatorios.HORAS_RECORDATORIO
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de recordatorios:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+};
+app.route('/api/citas/recordatorios/ejecutar')
+    .all(requiereToken('CRON_SECRET', 'ADMIN_TOKEN'))
+    .get(ejecutarRecordatorios)
+    .post(ejecutarRecordatorios);
+
+// --- Administración de la bandeja de notificaciones ---
+const ESTADOS_BANDEJA = ['pendiente', 'enviada', 'fallida'];
+
+app.get('/api/admin/notificaciones', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { estado } = req.query;
+        if (estado && !ESTADOS_BANDEJA.includes(estado)) {
+            return responder(res, 400, "Error de Validación", {
+                mensaje: `El estado debe ser uno de: ${ESTADOS_BANDEJA.join(', ')}.`
+            });
+        }
+        const items = (await notificaciones.listarBandeja(estado))
+            .map(({ notificacion, ...item }) => item);
+        const tabla = `| ID | Cita | Evento | Canal | Estado | Intentos | Último error |\n|:---|:-----|:-------|:------|:-------|:---------|:-------------|\n` +
+            items.map(i => `| ${i.id} | ${i.idCita} | ${i.evento} | ${i.canal} | ${i.estado} | ${i.intentos} | ${i.ultimoError || '-'} |`).join('\n');
+        responder(res, 200, "Bandeja de Notificaciones", {
+            mensaje: items.length ? `${items.length} notificaciones${estado ? ` en estado ${estado}` : ''}.\n\n${tabla}` : 'No hay notificaciones.',
+            items
+        });
+    } catch (error) {
+        console.error('Error al listar la bandeja de notificaciones:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+const procesarBandeja = async (req, res) => {
+    try {
+        const resultados = await notificaciones.procesarPendientes();
+        const enviadas = resultados.filter(r => r.ok).length;
+        responder(res, 200, "Bandeja Procesada", {
+            mensaje: resultados.length
+                ? `Se reintentaron ${resultados.length} notificaciones: ${enviadas} enviadas, ${resultados.length - enviadas} siguen fallando.`
+                : 'No había notificaciones pendientes de reintento.',
+            resultados
+        });
+    } catch (error) {
+        console.error('Error al procesar la bandeja de notificaciones:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+};
+app.route('/api/admin/notificaciones/procesar')
+    .all(requiereToken('CRON_SECRET', 'ADMIN_TOKEN'))
+    .get(procesarBandeja)
+    .post(procesarBandeja);
+
+app.post('/api/admin/notificaciones/:id/reintentar', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const resultado = await notificaciones.reintentar(req.params.id);
+        if (!resultado) {
+            return responder(res, 404, "Notificación no Encontrada", { mensaje: `No existe la notificación ${req.params.id}.` });
+        }
+        if (resultado.enCurso) {
+            return responder(res, 409, "Notificación en Curso", { mensaje: `La notificación ${req.params.id} ya se está enviando; consulte la bandeja en unos minutos.`, resultado });
+        }
+        responder(res, resultado.ok ? 200 : 502, resultado.ok ? "Notificación Enviada" : "Reintento Fallido", {
+            mensaje: resultado.ok
+                ? `La notificación se envió por ${resultado.canal}.`
+                : `No se pudo enviar por ${resultado.canal}: ${resultado.error}`,
+            resultado
+        });
+    } catch (error) {
+        console.error('Error al reintentar la notificación:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+const ESQUEMA_CIERRE = {
+    fecha: { tipo: 'fecha', requerido: true },
+    motivo: { tipo: 'texto', maxLongitud: 200 }
+};
+
+app.route('/api/admin/cierres')
+    .all(requiereToken('ADMIN_TOKEN'))
+    .get(async (req, res) => {
+        try {
+            const cierres = await calendarioNegocio.listarCierres();
+            const tabla = `| Fecha | Motivo |\n|:------|:-------|\n` +
+                cierres.map(c => `| ${c.fecha} | ${c.motivo || '-'} |`).join('\n');
+            responder(res, 200, "Cierres Extraordinarios", {
+                mensaje: cierres.length ? `${cierres.length} cierres registrados.\n\n${tabla}` : 'No hay cierres registrados.',
+                cierres
+            });
+        } catch (error) {
+            console.error('Error al listar los cierres:', error);
+            responder(res, 500, "Error Interno del Servidor", {
+                mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+            });
+        }
+    })
+    .post(async (req, res) => {
+        try {
+            const { valores, errores } = validar(ESQUEMA_CIERRE, req.body);
+            if (errores.length > 0) {
+                return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+            }
+            const cierre = await calendarioNegocio.agregarCierre(valores);
+            // Las citas ya agendadas ese día no se cancelan solas; se reportan para avisar a los clientes.
+            const afectadas = (await obtenerCitas())
+                .map(filaACita)
+                .filter(c => c.fecha === cierre.fecha && !ESTADOS_INACTIVOS.includes(c.estado))
+                .map(c => c.idCita);
+            responder(res, 201, "Cierre Registrado", {
+                mensaje: `El ${cierre.fecha} queda cerrado${cierre.motivo ? ` (${cierre.motivo})` : ''}.` +
+                    (afectadas.length ? ` Hay ${afectadas.length} citas activas ese día: ${afectadas.join(', ')}.` : ''),
+                cierre,
+                citasAfectadas: afectadas
+            });
+        } catch (error) {
+            console.error('Error al registrar el cierre:', error);
+            responder(res, 500, "Error Interno del Servidor", {
+                mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+            });
+        }
+    });
+
+app.delete('/api/admin/cierres/:fecha', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const cierre = await calendarioNegocio.eliminarCierre(req.params.fecha);
+        if (!cierre) {
+            return responder(res, 404, "Cierre no Encontrado", { mensaje: `No hay un cierre registrado para el ${req.params.fecha}.` });
+        }
+        responder(res, 200, "Cierre Eliminado", { mensaje: `El ${cierre.fecha} vuelve a abrir según el horario semanal.`, cierre });
+    } catch (error) {
+        console.error('Error al eliminar el cierre:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+// --- Consulta de Citas (personal) ---
+const ESTADOS_CITA = ['pendiente', 'reprogramada', ESTADO_CANCELADA, ESTADO_RECHAZADA];
+const ORDENES_CITA = {
+    fecha: cita => cita.inicio || `${cita.fecha}T${cita.hora}`,
+    nombre: cita => normalizarTexto(cita.nombre),
+    servicio: cita => cita.servicio || '',
+    estado: cita => cita.estado,
+    idCita: cita => cita.idCita
+};
+const MAX_POR_PAGINA = 100;
+
+const ESQUEMA_FILTROS_CITAS = {
+    fechaInicio: { tipo: 'fecha' },
+    fechaFin: { tipo: 'fecha' },
+    servicio: { tipo: 'texto', maxLongitud: 100, validar: v => buscarServicio(v) ? null : 'no existe en el catálogo' },
+    industria: { tipo: 'texto', maxLongitud: 100 },
+    telefono: { tipo: 'telefono' },
+    estado: {
+        tipo: 'texto', maxLongitud: 100,
+        validar: v => v.split(',').every(e => ESTADOS_CITA.includes(e.trim().toLowerCase())) ? null : `debe ser uno o varios de: ${ESTADOS_CITA.join(', ')}`
+    },
+    recurso: { tipo: 'texto', maxLongitud: 50 },
+    serie: { tipo: 'texto', maxLongitud: 20 },
+    orden: {
+        tipo: 'texto', maxLongitud: 20, defecto: 'fecha',
+        validar: v => ORDENES_CITA[v.replace(/^-/, '')] ? null : `debe ser uno de: ${Object.keys(ORDENES_CITA).join(', ')} (prefijo "-" para descendente)`
+    }
+};
+
+const ESQUEMA_LISTAR_CITAS = {
+    ...ESQUEMA_FILTROS_CITAS,
+    pagina: { tipo: 'entero', min: 1, defecto: 1 },
+    porPagina: { tipo: 'entero', min: 1, max: MAX_POR_PAGINA, defecto: 20 }
+};
+
+const ESQUEMA_EXPORTAR_CITAS = {
+    ...ESQUEMA_FILTROS_CITAS,
+    formato: { tipo: 'opcion', opciones: Object.keys(TIPOS_CONTENIDO), defecto: 'csv' }
+};
+
+/**
+ * Valida la consulta de listado o exportación, incluido que el rango de fechas sea coherente.
+ */
+function validarConsultaCitas(esquema, consulta) {
+    const { valores, errores } = validar(esquema, consulta);
+    if (errores.length === 0 && valores.fechaInicio && valores.fechaFin && valores.fechaFin < valores.fechaInicio) {
+        errores.push({ campo: 'fechaFin', mensaje: 'no puede ser anterior a fechaInicio' });
+    }
+    return { valores, errores };
+}
+
+/**
+ * Aplica los filtros ya validados de GET /api/citas y devuelve las citas en el orden pedido.
+ * `industria` busca por coincidencia parcial sin acentos; `telefono` compara en E.164.
+ */
+function filtrarCitas(citas, filtros) {
+    const servicio = filtros.servicio && buscarServicio(filtros.servicio).nombre;
+    const industria = filtros.industria && normalizarTexto(filtros.industria);
+    const estados = filtros.estado && filtros.estado.split(',').map(e => e.trim().toLowerCase());
+    const serie = filtros.serie && normalizarIdCita(filtros.serie);
+    const descendente = filtros.orden.startsWith('-');
+    const clave = ORDENES_CITA[filtros.orden.replace(/^-/, '')];
+    return citas.filter(cita =>
+        (!filtros.fechaInicio || cita.fecha >= filtros.fechaInicio) &&
+        (!filtros.fechaFin || cita.fecha <= filtros.fechaFin) &&
+        (!servicio || cita.servicio === servicio) &&
+        (!industria || normalizarTexto(cita.industria).includes(industria)) &&
+        (!filtros.telefono || telefonoAE164(cita.telefono) === filtros.telefono) &&
+        (!estados || estados.includes(cita.estado)) &&
+        (!filtros.recurso || cita.recurso === filtros.recurso) &&
+        (!serie || normalizarIdCita(cita.serie) === serie)
+    ).sort((a, b) => (descendente ? -1 : 1) * String(clave(a)).localeCompare(String(clave(b))));
+}
+
+app.get('/api/citas', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { valores: filtros, errores } = validarConsultaCitas(ESQUEMA_LISTAR_CITAS, req.query);
+        if (errores.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+        }
+
+        const citas = filtrarCitas((await obtenerCitas()).filter(fila => fila[0]).map(filaACita), filtros);
+
+        const total = citas.length;
+        const totalPaginas = Math.max(1, Math.ceil(total / filtros.porPagina));
+        if (total > 0 && filtros.pagina > totalPaginas) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion([
+                { campo: 'pagina', mensaje: `está fuera de rango: debe ser de 1 a ${totalPaginas} (${total} citas, ${filtros.porPagina} por página)` }
+            ]));
+        }
+        const desde = (filtros.pagina - 1) * filtros.porPagina;
+        const pagina = citas.slice(desde, desde + filtros.porPagina);
+
+        const tabla = `| ID Cita | Fecha | Hora | Nombre | Teléfono | Servicio | Recurso | Estado |\n|:--------|:------|:-----|:-------|:---------|:---------|:--------|:-------|\n` +
+            pagina.map(c => `| ${c.idCita} | ${c.fecha} | ${c.hora} | ${celda(c.nombre)} | ${celda(c.telefono)} | ${celda(c.servicio)} | ${celda(nombreRecurso(c.recurso))} | ${c.estado} |`).join('\n');
+        const resumen = total === 0
+            ? 'No hay citas que coincidan con los filtros.'
+            : `Citas ${desde + 1}-${desde + pagina.length} de ${total} (página ${filtros.pagina} de ${totalPaginas}).`;
+
+        responder(res, 200, "Citas", {
+            mensaje: pagina.length ? `${resumen}\n\n${tabla}` : resumen,
+            citas: pagina,
+            total,
+            pagina: filtros.pagina,
+            porPagina: filtros.porPagina,
+            totalPaginas,
+            zonaHoraria: ZONA_HORARIA
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de listar citas:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+const COLUMNAS_EXPORTACION = [
+    { clave: 'idCita', titulo: 'ID Cita' },
+    { clave: 'fecha', titulo: 'Fecha' },
+    { clave: 'hora', titulo: 'Hora' },
+    { clave: 'nombre', titulo: 'Nombre' },
+    { clave: 'telefono', titulo: 'Teléfono' },
+    { clave: 'email', titulo: 'Correo' },
+    { clave: 'industria', titulo: 'Industria' },
+    { clave: 'solicitudes', titulo: 'Solicitudes' },
+    { clave: 'empleados', titulo: 'Empleados' },
+    { clave: 'servicio', titulo: 'Servicio' },
+    { clave: 'recurso', titulo: 'Recurso' },
+    { clave: 'estado', titulo: 'Estado' },
+    { clave: 'serie', titulo: 'Serie' },
+    { clave: 'notas', titulo: 'Notas' }
+];
+
+app.get('/api/citas/exportar', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { valores: filtros, errores } = validarConsultaCitas(ESQUEMA_EXPORTAR_CITAS, req.query);
+        if (errores.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+        }
+
+        const citas = filtrarCitas((await obtenerCitas()).filter(fila => fila[0]).map(filaACita), filtros)
+            .map(cita => ({
+                ...cita,
+                recurso: nombreRecurso(cita.recurso),
+                // En la hoja los números llegan como texto; en el XLSX se exportan como número.
+                empleados: cita.empleados === '' || isNaN(Number(cita.empleados)) ? cita.empleados : Number(cita.empleados)
+            }));
+        const periodo = `${filtros.fechaInicio || 'inicio'}_${filtros.fechaFin || 'fin'}`;
+        const contenido = filtros.formato === 'xlsx'
+            ? generarXlsx(COLUMNAS_EXPORTACION, citas, 'Citas')
+            : generarCsv(COLUMNAS_EXPORTACION, citas);
+
+        res.set('Content-Type', TIPOS_CONTENIDO[filtros.formato]);
+        res.set('Content-Disposition', `attachment; filename="citas_${periodo}.${filtros.formato}"`);
+        res.set('X-Total-Citas', String(citas.length));
+        res.send(contenido);
+    } catch (error) {
+        console.error('Error en el endpoint de exportar citas:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+app.get('/api/citas/:idCita', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const encontrada = await buscarCitaPorId(req.params.idCita);
+        if (!encontrada) {
+            return responder(res, 404, "Cita no Encontrada", { mensaje: `No existe una cita con ID ${req.params.idCita}.` });
+        }
+        const cita = filaACita(encontrada.fila);
+        const filas = [
+            ['ID Cita', cita.idCita], ['Estado', cita.estado], ['Nombre', cita.nombre], ['Teléfono', cita.telefono],
+            ['Correo', cita.email], ['Idioma', cita.idioma], ['Industria', cita.industria], ['Solicitudes', cita.solicitudes],
+            ['Empleados', cita.empleados], ['Fecha', cita.fecha], ['Hora', `${cita.hora} (${ZONA_HORARIA})`],
+            ['Servicio', cita.servicio], ['Recurso', nombreRecurso(cita.recurso)], ['Serie', cita.serie], ['Notas', cita.notas]
+        ];
+        const tabla = `| Campo | Detalle |\n|:------|:--------|\n` + filas.map(([campo, valor]) => `| ${campo} | ${celda(valor)} |`).join('\n');
+        responder(res, 200, "Detalle de Cita", { mensaje: tabla, cita });
+    } catch (error) {
+        console.error('Error en el endpoint de detalle de cita:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+app.patch('/api/citas/:idCita', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { idCita } = req.params;
+        const { valores, errores } = validar(ESQUEMA_REPROGRAMAR, req.body);
+        if (errores.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(errores));
+        }
+        const { fecha: fechaEntrada, hora: horaEntrada, zonaHoraria, recurso } = valores;
+
+        const nuevoInicio = aInstante(fechaEntrada, horaEntrada, zonaHoraria || ZONA_HORARIA);
+        const erroresFecha = erroresDeVentana(nuevoInicio);
+        if (erroresFecha.length > 0) {
+            return responder(res, 400, "Error de Validación", datosErrorValidacion(erroresFecha));
+        }
+        const { fecha, hora } = enZona(nuevoInicio);
+        const calendario = await calendarioNegocio.obtenerCalendario();
+
+        const resultado = await conBloqueo('citas', async () => {
+            const encontrada = await buscarCitaPorId(idCita);
+            if (!encontrada) return { error: 'no-encontrada' };
+            const cita = filaACita(encontrada.fila);
+            if (ESTADOS_INACTIVOS.includes(cita.estado)) return { error: 'inactiva', cita };
+
+            const { candidatos: aptos, error } = candidatosParaCita(cita.servicio, recurso);
+            if (error) return { error: 'recurso', detalle: error };
+            // Sin recurso explícito se intenta conservar el actual antes de reasignar.
+            const candidatos = recurso ? aptos : [cita.recurso, ...aptos.filter(r => r !== cita.recurso)];
+
+            const duracionMinutos = minutosBloqueados(cita.servicio);
+            const nuevoFin = new Date(nuevoInicio.getTime() + duracionMinutos * 60000);
+            const citasExistentes = await obtenerCitas();
+            if (!calendario.dentroDeHorario(nuevoInicio, nuevoFin)) {
+                return { error: 'fuera-de-horario', duracionMinutos, sugerencias: sugerirHorarios(calendario, citasExistentes, fecha, hora, duracionMinutos, candidatos, cita.idCita) };
+            }
+            const recursoAsignado = recursoLibre(nuevoInicio, nuevoFin, intervalosOcupados(citasExistentes, cita.idCita), candidatos);
+            if (!recursoAsignado) {
+                return { error: 'conflicto', sugerencias: sugerirHorarios(calendario, citasExistentes, fecha, hora, duracionMinutos, candidatos, cita.idCita) };
+            }
+
+            const filaOriginal = completarFila(encontrada.fila);
+            const filaActualizada = filaModificada(filaOriginal);
+            filaActualizada[6] = fecha;
+            filaActualizada[7] = hora;
+            filaActualizada[COLUMNA_ESTADO] = 'reprogramada';
+            filaActualizada[COLUMNA_INICIO] = aIsoConZona(nuevoInicio);
+            filaActualizada[COLUMNA_RECURSO] = recursoAsignado;
+            // Con el nuevo horario los recordatorios vuelven a empezar.
+            filaActualizada[COLUMNA_RECORDATORIOS] = '';
+            await actualizarFila(encontrada.numeroFila, filaActualizada);
+
+            const { ganada, numeroFila } = await confirmarReserva(cita.idCita);
+            if (!ganada) {
+                // Otra instancia ocupó el horario al mismo tiempo: se restaura la cita original.
+                if (numeroFila) await actualizarFila(numeroFila, filaOriginal);
+                return { error: 'conflicto', simultanea: true, sugerencias: sugerirHorarios(calendario, await obtenerCitas(), fecha, hora, duracionMinutos, candidatos, cita.idCita) };
+            }
+            return { cita, filaActualizada };
+        });
+
+        if (resultado.error === 'no-encontrada') {
+            return responder(res, 404, "Cita no Encontrada", { mensaje: `No existe una cita con ID ${idCita}.` });
+        }
+        if (resultado.error === 'inactiva') {
+            return responder(res, 409, "Cita Cancelada", { mensaje: `La cita ${resultado.cita.idCita} está ${resultado.cita.estado} y no puede reprogramarse.` });
+        }
+        if (resultado.error === 'recurso') {
+            return responder(res, 400, "Recurso no Válido", { mensaje: resultado.detalle });
+        }
+        if (resultado.error === 'fuera-de-horario') {
+            return responder(res, 400, "Fuera de Horario", {
+                mensaje: mensajeFueraDeHorario(calendario, fecha, hora, resultado.duracionMinutos),
+                sugerencias: resultado.sugerencias
+            });
+        }
+        if (resultado.error === 'conflicto') {
+            return responder(res, 409, "Conflicto de Horario", {
+                mensaje: resultado.simultanea
+                    ? `El horario de ${hora} acaba de ser reservado por otra solicitud.`
+                    : `El horario de ${hora} no está disponible.`,
+                sugerencias: resultado.sugerencias
+            });
+        }
+
+        const { cita, filaActualizada } = resultado;
+        const citaActualizada = filaACita(filaActualizada);
+        const entregas = await notificarCita(citaActualizada, 'reprogramada')
+            .catch(err => {
+                console.error("Fallo en la ejecución de notificarCita:", err);
+                return [{ canal: 'todos', ok: false, estado: 'error', error: err.message }];
+            });
+
+        responder(res, 200, "Cita Reprogramada", {
+            mensaje: `La cita ${cita.idCita} fue movida del ${cita.fecha} ${cita.hora} al ${fecha} ${hora} (${ZONA_HORARIA}). ${resumenNotificaciones(entregas)}`,
+            cita: citaActualizada,
+            anterior: { fecha: cita.fecha, hora: cita.hora },
+            notificaciones: entregas
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de reprogramar cita:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+app.delete('/api/citas/series/:idSerie', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { idSerie } = req.params;
+
+        // Sólo se cancelan las citas futuras; las pasadas quedan como historial de la serie.
+        const resultado = await conBloqueo('citas', async () => {
+            const buscada = normalizarIdCita(idSerie);
+            const filas = (await obtenerCitas())
+                .map((fila, indice) => ({ fila, numeroFila: indice + 2 }))
+                .filter(({ fila }) => fila[COLUMNA_SERIE] && normalizarIdCita(fila[COLUMNA_SERIE]) === buscada);
+            if (filas.length === 0) return null;
+
+            const ahora = new Date();
+            const canceladas = [];
+            for (const { fila, numeroFila } of filas) {
+                if (ESTADOS_INACTIVOS.includes(fila[COLUMNA_ESTADO])) continue;
+                const inicio = fila[COLUMNA_INICIO] ? new Date(fila[COLUMNA_INICIO]) : aInstante(fila[6], fila[7]);
+                if (inicio <= ahora) continue;
+                const filaActualizada = filaModificada(fila);
+                filaActualizada[COLUMNA_ESTADO] = ESTADO_CANCELADA;
+                await actualizarFila(numeroFila, filaActualizada);
+                canceladas.push(filaACita(filaActualizada));
+            }
+            return { idSerie: filas[0].fila[COLUMNA_SERIE], total: filas.length, canceladas };
+        });
+
+        if (!resultado) {
+            return responder(res, 404, "Serie no Encontrada", { mensaje: `No existe una serie con ID ${idSerie}.` });
+        }
+        if (resultado.canceladas.length === 0) {
+            return responder(res, 409, "Serie sin Citas Activas", { mensaje: `La serie ${resultado.idSerie} no tiene citas futuras activas.` });
+        }
+
+        const entregas = [];
+        for (const cita of resultado.canceladas) {
+            entregas.push(...await notificarCita(cita, 'cancelada')
+                .catch(err => {
+                    console.error("Fallo en la ejecución de notificarCita:", err);
+                    return [{ canal: 'todos', ok: false, estado: 'error', error: err.message }];
+                }));
+        }
+
+        const tabla = `| ID Cita | Fecha | Hora |\n|:--------|:------|:-----|\n` +
+            resultado.canceladas.map(c => `| ${c.idCita} | ${c.fecha} | ${c.hora} |`).join('\n');
+        responder(res, 200, "Serie Cancelada", {
+            mensaje: `Se cancelaron ${resultado.canceladas.length} citas de la serie ${resultado.idSerie}. ${resumenNotificaciones(entregas)}\n\n${tabla}`,
+            idSerie: resultado.idSerie,
+            citas: resultado.canceladas,
+            notificaciones: entregas
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de cancelar serie:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+app.delete('/api/citas/:idCita', requiereToken('ADMIN_TOKEN'), async (req, res) => {
+    try {
+        const { idCita } = req.params;
+
+        const resultado = await conBloqueo('citas', async () => {
+            const encontrada = await buscarCitaPorId(idCita);
+            if (!encontrada) return { error: 'no-encontrada' };
+            const cita = filaACita(encontrada.fila);
+            if (ESTADOS_INACTIVOS.includes(cita.estado)) return { error: 'inactiva', cita };
+
+            const filaActualizada = filaModificada(encontrada.fila);
+            filaActualizada[COLUMNA_ESTADO] = ESTADO_CANCELADA;
+            await actualizarFila(encontrada.numeroFila, filaActualizada);
+            return { cita, filaActualizada };
+        });
+
+        if (resultado.error === 'no-encontrada') {
+            return responder(res, 404, "Cita no Encontrada", { mensaje: `No existe una cita con ID ${idCita}.` });
+        }
+        if (resultado.error === 'inactiva') {
+            return responder(res, 409, "Cita Cancelada", { mensaje: `La cita ${resultado.cita.idCita} ya estaba ${resultado.cita.estado}.` });
+        }
+
+        const { cita, filaActualizada } = resultado;
+        const citaCancelada = filaACita(filaActualizada);
+        const entregas = await notificarCita(citaCancelada, 'cancelada')
+            .catch(err => {
+                console.error("Fallo en la ejecución de notificarCita:", err);
+                return [{ canal: 'todos', ok: false, estado: 'error', error: err.message }];
+            });
+
+        responder(res, 200, "Cita Cancelada", {
+            mensaje: `La cita ${cita.idCita} del ${cita.fecha} a las ${cita.hora} fue cancelada. ${resumenNotificaciones(entregas)}`,
+            cita: citaCancelada,
+            notificaciones: entregas
+        });
+    } catch (error) {
+        console.error('Error en el endpoint de cancelar cita:', error);
+        responder(res, 500, "Error Interno del Servidor", {
+            mensaje: error.message || 'Ocurrió un error inesperado en el servidor.'
+        });
+    }
+});
+
+// --- Lista de Precios ---
+app.use('/api/price-list', rutasListaPrecios);
+
 
 // --- Manejo de errores y 404 ---
 app.use((err, req, res, next) => {
@@ -263,10 +1406,20 @@ app.use('*', (req, res) => {
 });
 
 
-// Iniciar servidor
-app.listen(PORT, () => {
-    console.log(`Servidor de citas corriendo en el puerto ${PORT}`);
-});
+// Iniciar servidor solo con `node server.js`; Vercel y las pruebas importan la app exportada.
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Servidor de citas corriendo en el puerto ${PORT} (almacenamiento: ${almacenamiento.nombre}, notificaciones: ${notificaciones.canalesActivos().join(', ') || 'ninguna'})`);
+    });
+
+    // En serverless (Vercel) no hay proceso persistente: ahí se usa el endpoint de cron.
+    if (!process.env.VERCEL && process.env.RECORDATORIOS_TEMPORIZADOR !== 'false') {
+        recordatorios.iniciarTemporizador(async () => {
+            await procesarRecordatorios();
+            await notificaciones.procesarPendientes();
+        });
+    }
+}
 
 module.exports = app;
 
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// La app se importa con almacenamiento en archivo y notificaciones por consola en un
+// directorio temporal; sin `node server.js` no abre ningún puerto ni temporizador.
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'citas-'));
+Object.assign(process.env, {
+    CITAS_STORAGE: 'archivo',
+    CITAS_ARCHIVO: path.join(directorio, 'citas.json'),
+    CIERRES_ARCHIVO: path.join(directorio, 'cierres.json'),
+    NOTIFICACIONES_CANALES: 'consola',
+    BANDEJA_ARCHIVO: path.join(directorio, 'bandeja.json'),
+    LISTA_PRECIOS_ARCHIVO: path.join(directorio, 'sin-lista.xlsx'),
+    HISTORIAL_PRECIOS_ARCHIVO: path.join(directorio, 'historial.json'),
+    ADMIN_TOKEN: 'admin'
+});
+delete process.env.NOTIFICACIONES_ARCHIVO;
+
+// Sin lista de precios el catálogo registra un error al importarse; aquí no interesa.
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const app = require('./server');
+const almacenamiento = require('./lib/almacenamiento');
+
+const COLUMNA_ESTADO = 10;
+
+let servidor;
+let base;
+beforeAll(done => {
+    servidor = app.listen(0, () => {
+        base = `http://127.0.0.1:${servidor.address().port}`;
+        done();
+    });
+});
+afterAll(done => {
+    servidor.close(() => {
+        fs.rmSync(directorio, { recursive: true, force: true });
+        done();
+    });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// Un martes hábil a más de una semana, para no chocar con feriados ni con la ventana de reserva.
+function martesHabil(semanas) {
+    const dia = new Date(Date.now() + semanas * 7 * 86400000);
+    while (dia.getUTCDay() !== 2 || ['01-01', '05-01', '09-16', '12-25'].includes(dia.toISOString().slice(5, 10))) {
+        dia.setUTCDate(dia.getUTCDate() + 1);
+    }
+    return dia.toISOString().slice(0, 10);
+}
+
+async function agendar(cuerpo) {
+    const respuesta = await fetch(`${base}/api/citas/agendar`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nombre: 'Ana', telefono: '5512345678', servicio: 'cita', ...cuerpo })
+    });
+    return { status: respuesta.status, cuerpo: await respuesta.json() };
+}
+
+const filasDe = async (fecha) => (await almacenamiento.obtenerCitas()).filter(fila => fila[6] === fecha);
+
+describe('reservas simultáneas', () => {
+    test('dos solicitudes al mismo horario: solo una se agenda', async () => {
+        const fecha = martesHabil(2);
+        const respuestas = await Promise.all([agendar({ fecha, hora: '10:00' }), agendar({ fecha, hora: '10:00' })]);
+        expect(respuestas.map(r => r.status).sort()).toEqual([201, 409]);
+        expect(await filasDe(fecha)).toHaveLength(1);
+    });
+
+    test('gana la fila más antigua: la más nueva de dos traslapadas queda rechazada', async () => {
+        const fecha = martesHabil(3);
+        // Otra instancia escribe una cita traslapada justo antes que esta solicitud.
+        const agregarFila = almacenamiento.agregarFila;
+        jest.spyOn(almacenamiento, 'agregarFila').mockImplementationOnce(async (valores) => {
+            const competidora = [...valores];
+            competidora[0] = 'OTRA-INSTANCIA';
+            await agregarFila(competidora);
+            return agregarFila(valores);
+        });
+
+        const { status, cuerpo } = await agendar({ fecha, hora: '10:00' });
+        expect(status).toBe(409);
+        expect(cuerpo.raw.mensaje).toMatch(/acaba de ser reservado por otra solicitud/);
+
+        const [primera, segunda] = await filasDe(fecha);
+        expect(primera[0]).toBe('OTRA-INSTANCIA');
+        expect(primera[COLUMNA_ESTADO]).not.toBe('rechazada');
+        expect(segunda[COLUMNA_ESTADO]).toBe('rechazada');
+    });
+
+    test('una fila más nueva no le quita el horario a la anterior', async () => {
+        const fecha = martesHabil(4);
+        const agregarFila = almacenamiento.agregarFila;
+        jest.spyOn(almacenamiento, 'agregarFila').mockImplementationOnce(async (valores) => {
+            await agregarFila(valores);
+            const competidora = [...valores];
+            competidora[0] = 'OTRA-INSTANCIA';
+            await agregarFila(competidora);
+        });
+
+        const { status } = await agendar({ fecha, hora: '10:00' });
+        expect(status).toBe(201);
+        const [propia] = await filasDe(fecha);
+        expect(propia[0]).not.toBe('OTRA-INSTANCIA');
+        expect(propia[COLUMNA_ESTADO]).not.toBe('rechazada');
+    });
+});